@@ -1,15 +1,193 @@
 // Service worker for Chrome Power Profiler
 
+importScripts(
+  'lib/co2.js',
+  'lib/power-model.js',
+  'lib/carbon-intensity.js',
+  'lib/live-intensity.js',
+  'lib/budgets.js',
+  'lib/history.js',
+  'lib/badge.js',
+  'lib/session-store.js',
+  'lib/rollups.js',
+  'lib/co2-hosting-json.js',
+  'lib/green-hosting.js',
+  'lib/heap-leaks.js',
+  'lib/resource-types.js',
+  'lib/session-export.js',
+  'lib/session-summary.js',
+  'lib/settings.js'
+);
+
+const KEEPALIVE_ALARM = 'profilerKeepAlive';
+const LIVE_INTENSITY_ALARM = 'liveIntensityPoll';
+const ROLLUP_ALARM = 'rollupCompaction';
+const ROLLUP_COMPACTION_MINUTES = 15;
+
+// Dynamic content script for window.__chromePowerProfiler, registered only for allowed sites
+const PAGE_API_SCRIPT_ID = 'pageApi';
+
+// User Timing marks and measures kept per session, oldest dropped first
+const MAX_USER_TIMINGS = 1000;
+
+// Bucket for power drawn while no page is reporting metrics
+const IDLE_DOMAIN = '(browser idle)';
+
+function createAttributionTotals() {
+  return { domains: {}, tabs: {} };
+}
+
+function createAttributionEntry(key) {
+  return { ...key, energy: 0, co2e: 0, transferBytes: 0, transferCO2e: 0, samples: 0 };
+}
+
+function addShare(entry, share) {
+  entry.energy += share.energy;
+  entry.co2e += share.co2e;
+  entry.transferBytes = (entry.transferBytes || 0) + (share.transferBytes || 0);
+  entry.transferCO2e = (entry.transferCO2e || 0) + (share.transferCO2e || 0);
+  entry.samples++;
+}
+
+// Fold one sample's per-tab shares into running totals
+function addAttribution(totals, sample) {
+  const result = totals || createAttributionTotals();
+  
+  for (const share of sample.attribution || []) {
+    const domain = result.domains[share.domain] ||
+      (result.domains[share.domain] = createAttributionEntry({ domain: share.domain }));
+    addShare(domain, share);
+    
+    if (share.tabId === null) continue;
+    
+    const tab = result.tabs[share.tabId] ||
+      (result.tabs[share.tabId] = createAttributionEntry({ tabId: share.tabId }));
+    tab.url = share.url;
+    tab.domain = share.domain;
+    addShare(tab, share);
+  }
+  
+  return result;
+}
+
+// Turn attribution totals into lists sorted by energy with a share of the total
+function rankAttribution(totals) {
+  const rank = (entries) => {
+    const totalEnergy = entries.reduce((sum, entry) => sum + entry.energy, 0);
+    return entries
+      .map(entry => ({ ...entry, share: totalEnergy > 0 ? entry.energy / totalEnergy : 0 }))
+      .sort((a, b) => b.energy - a.energy);
+  };
+  
+  return {
+    domains: rank(Object.values(totals.domains)),
+    tabs: rank(Object.values(totals.tabs))
+  };
+}
+
 class PowerProfiler {
   constructor() {
     this.samples = [];
     this.startTime = Date.now();
     this.isProfiling = false;
     this.sampleInterval = null;
-    this.co2Intensity = 475; // Default: world average gCO2e/kWh
+    this.co2Intensity = DEFAULT_CO2_INTENSITY; // gCO2e/kWh
+    this.co2IntensitySchedule = null; // Hourly, weekday-aware intensities; overrides the constant when enabled
+    this.co2IntensitySource = null; // CO2.js region, accounting and data year behind the constant, if picked
     this.metricsHistory = [];
-    this.maxHistorySize = 1000;
+    this.sampling = normalizeSamplingSettings(); // Interval, chart history and in-memory sample window
+    this.privacy = normalizePrivacySettings();   // URL storage and session retention
+    this.retention = normalizeRetentionSettings(); // How long raw samples and each rollup tier are kept
     this.pageMetrics = new Map(); // Store metrics from content scripts
+    this.transferTotals = new Map(); // tabId -> { url, total } last byte total seen; outlives the liveness cleanup
+    this.session = null; // Running totals of the active session
+    this.pendingMeasures = []; // User Timing measures waiting for the sample that covers their end
+    this.activeTabId = null;
+    this.lastCpuTimes = null; // Per-processor counters from the previous tick
+    this.powerModel = resolvePowerModel();
+    
+    // Sustainable Web Design model from the bundled CO2.js for data transfer
+    this.transferModel = createTransferModel();
+    this.greenHosting = new GreenHostingChecker();
+    this.liveIntensity = new LiveIntensityService();
+    this.budgets = new BudgetTracker();
+    this.heapLeaks = new HeapLeakDetector();
+    this.badgeSettings = normalizeBadgeSettings();
+    this.store = new SessionStore();
+    this.rollups = new RollupService(this.store);
+    
+    // Chrome evicts idle service workers, so pick up where the last one left off
+    this.ready = this.restoreSession();
+  }
+
+  async restoreSession() {
+    try {
+      const data = await chrome.storage.local.get([
+        'co2Intensity', 'co2IntensitySchedule', 'co2IntensitySource', 'powerModel', 'badgeSettings',
+        'sampling', 'privacy', 'retention', 'pageApi', 'activeSessionId'
+      ]);
+      
+      if (data.co2Intensity !== undefined) {
+        this.co2Intensity = this.validateNumber(data.co2Intensity, MIN_CO2_INTENSITY, MAX_CO2_INTENSITY);
+      }
+      
+      this.co2IntensitySource = data.co2IntensitySource || null;
+      
+      this.co2IntensitySchedule = normalizeIntensitySchedule(data.co2IntensitySchedule);
+      
+      this.powerModel = resolvePowerModel(data.powerModel);
+      this.badgeSettings = normalizeBadgeSettings(data.badgeSettings);
+      this.sampling = normalizeSamplingSettings(data.sampling);
+      this.privacy = normalizePrivacySettings(data.privacy);
+      this.retention = normalizeRetentionSettings(data.retention);
+      this.rollups.setRetention(this.retention);
+      await this.setPageApiSettings(data.pageApi);
+      
+      await this.liveIntensity.ready;
+      this.scheduleLiveIntensity();
+      
+      const [activeTab] = await chrome.tabs.query({ active: true, lastFocusedWindow: true });
+      if (activeTab) {
+        this.activeTabId = activeTab.id;
+      }
+      
+      // Roll samples up before session retention can delete them
+      await this.compactStorage();
+      chrome.alarms.create(ROLLUP_ALARM, { periodInMinutes: ROLLUP_COMPACTION_MINUTES });
+      await this.pruneSessions();
+      
+      if (!data.activeSessionId) {
+        await this.showIdleBadge();
+        return;
+      }
+      
+      const session = await this.store.getSession(data.activeSessionId);
+      if (!session || session.endTime) {
+        await chrome.storage.local.remove('activeSessionId');
+        await this.showIdleBadge();
+        return;
+      }
+      
+      this.session = session;
+      this.startTime = session.startTime;
+      this.samples = await this.store.getSamples(session.id, this.sampling.sampleWindow);
+      this.metricsHistory = this.samples.slice(-this.sampling.historySize);
+      
+      const { pageMetrics, transferTotals } = await chrome.storage.session.get(['pageMetrics', 'transferTotals']);
+      if (Array.isArray(pageMetrics)) {
+        this.pageMetrics = new Map(pageMetrics);
+      }
+      if (Array.isArray(transferTotals)) {
+        this.transferTotals = new Map(transferTotals);
+      }
+      
+      this.isProfiling = true;
+      this.startSampling();
+      
+      console.log('Resumed profiling session', session.id, 'with', session.sampleCount, 'samples');
+    } catch (error) {
+      console.error('Failed to restore profiling session:', error);
+    }
   }
 
   async startProfiling() {
@@ -18,14 +196,58 @@ class PowerProfiler {
     this.isProfiling = true;
     this.startTime = Date.now();
     this.samples = [];
+    this.session = {
+      id: `session-${this.startTime}`,
+      startTime: this.startTime,
+      endTime: null,
+      co2Intensity: this.co2Intensity,
+      co2IntensitySchedule: this.co2IntensitySchedule,
+      co2IntensitySource: this.co2IntensitySource,
+      powerModel: this.powerModel,
+      sampling: this.sampling,
+      totalEnergy: 0,
+      totalCO2e: 0,
+      totalTransferBytes: 0,
+      totalTransferCO2e: 0,
+      sampleCount: 0,
+      totalSeconds: 0,
+      attribution: createAttributionTotals(),
+      userTimings: { measures: [], marks: [] },
+      heapLeaks: []
+    };
+    this.pendingMeasures = [];
+    
+    // Bytes that arrived while no session was running belong to none
+    for (const metrics of this.pageMetrics.values()) {
+      metrics.pendingTransferBytes = 0;
+    }
     
-    this.sampleInterval = setInterval(async () => {
-      await this.collectSample();
-    }, 1000); // Sample every second
+    try {
+      await this.store.saveSession(this.session);
+      await chrome.storage.local.set({
+        activeSessionId: this.session.id,
+        lastSessionId: this.session.id
+      });
+    } catch (error) {
+      console.error('Failed to persist new session:', error);
+    }
+    
+    this.startSampling();
     
     console.log('Power profiling started');
   }
 
+  startSampling() {
+    if (!this.sampleInterval) {
+      this.sampleInterval = setInterval(async () => {
+        await this.collectSample();
+      }, this.sampling.intervalSeconds * 1000);
+    }
+    
+    // The interval dies with the worker; the alarm wakes a fresh one to resume it
+    chrome.alarms.create(KEEPALIVE_ALARM, { periodInMinutes: 0.5 });
+  }
+
   stopProfiling() {
     if (!this.isProfiling) return;
     
@@ -34,59 +256,255 @@ class PowerProfiler {
       clearInterval(this.sampleInterval);
       this.sampleInterval = null;
     }
+    chrome.alarms.clear(KEEPALIVE_ALARM);
+    
+    const summary = this.getSummary();
+    
+    if (this.session) {
+      this.session.endTime = Date.now();
+      this.showIdleBadge();
+      this.store.saveSession(this.session)
+        .then(() => chrome.storage.local.remove('activeSessionId'))
+        .then(() => this.pruneSessions())
+        .catch(error => console.error('Failed to persist stopped session:', error));
+    }
     
     console.log('Power profiling stopped');
-    return this.getSummary();
+    return summary;
   }
 
   async collectSample() {
     try {
       // Get aggregated metrics from all active tabs
       const aggregatedMetrics = this.aggregatePageMetrics();
+      aggregatedMetrics.system = await this.sampleSystemMetrics();
       const powerEstimate = this.estimatePower(aggregatedMetrics);
       
       // Validate power estimate
       const validatedPower = this.validatePower(powerEstimate);
+      const timestamp = Date.now();
+      const duration = this.sampling.intervalSeconds;
+      
+      if (!this.privacy.storeFullUrls) {
+        aggregatedMetrics.tabs.forEach(tab => {
+          tab.url = redactUrl(tab.url);
+        });
+      }
+      
+      const attribution = this.attributePower(aggregatedMetrics, validatedPower)
+        .map(share => ({
+          ...share,
+          energy: share.power * duration / 3600,
+          co2e: this.calculateCO2e(share.power * duration / 3600, timestamp),
+          transferCO2e: this.calculateTransferCO2e(
+            share.transferBytes,
+            this.greenHosting.isGreen(share.domain) === true
+          )
+        }));
       
       const sample = {
-        timestamp: Date.now(),
+        timestamp,
+        duration, // Seconds the sample stands for
         power: validatedPower,
         metrics: aggregatedMetrics,
-        energy: validatedPower / 3600, // Convert W to Wh for 1-second sample
-        co2e: this.calculateCO2e(validatedPower / 3600)
+        attribution,
+        energy: validatedPower * duration / 3600, // W over the interval to Wh
+        ...this.resolveCO2Intensity(timestamp),
+        co2e: this.calculateCO2e(validatedPower * duration / 3600, timestamp),
+        transferBytes: aggregatedMetrics.transferBytes,
+        transferCO2e: attribution.reduce((sum, share) => sum + share.transferCO2e, 0)
       };
       
       this.samples.push(sample);
       this.addToHistory(sample);
       
-      // Keep only last hour of samples (3600 seconds)
-      if (this.samples.length > 3600) {
-        this.samples.shift();
+      // Keep only the configured window of samples in memory; the store has the rest
+      if (this.samples.length > this.sampling.sampleWindow) {
+        this.samples.splice(0, this.samples.length - this.sampling.sampleWindow);
       }
       
+      this.resolveMeasures();
+      await this.persistSample(sample);
+      await this.checkBudgets(sample);
+      await this.updateBadge(sample);
+      this.notifyPageSubscribers(sample);
+      
       return sample;
     } catch (error) {
       console.error('Error collecting sample:', error);
       
       // Return a default valid sample on error
+      const timestamp = Date.now();
+      const duration = this.sampling.intervalSeconds;
       const defaultSample = {
-        timestamp: Date.now(),
+        timestamp,
+        duration,
         power: 0.5,
         metrics: {},
-        energy: 0.5 / 3600,
-        co2e: this.calculateCO2e(0.5 / 3600)
+        energy: 0.5 * duration / 3600,
+        ...this.resolveCO2Intensity(timestamp),
+        co2e: this.calculateCO2e(0.5 * duration / 3600, timestamp),
+        transferBytes: 0,
+        transferCO2e: 0
       };
       
       this.samples.push(defaultSample);
+      await this.persistSample(defaultSample);
       return defaultSample;
     }
   }
 
+  async persistSample(sample) {
+    if (!this.session) return;
+    
+    this.session.totalEnergy += sample.energy;
+    this.session.totalCO2e += sample.co2e;
+    this.session.totalTransferBytes = (this.session.totalTransferBytes || 0) + sample.transferBytes;
+    this.session.totalTransferCO2e = (this.session.totalTransferCO2e || 0) + sample.transferCO2e;
+    // Sessions from before the sampling setting only ever took one-second samples
+    if (this.session.totalSeconds === undefined) {
+      this.session.totalSeconds = this.session.sampleCount;
+    }
+    this.session.totalSeconds += sample.duration || 1;
+    this.session.sampleCount++;
+    this.session.lastSampleTime = sample.timestamp;
+    this.session.attribution = addAttribution(this.session.attribution, sample);
+    
+    try {
+      await this.store.addSample(this.session.id, sample);
+      await this.store.saveSession(this.session);
+      await chrome.storage.session.set({
+        pageMetrics: [...this.pageMetrics],
+        transferTotals: [...this.transferTotals]
+      });
+    } catch (error) {
+      console.error('Failed to persist sample:', error);
+    }
+  }
+
+  async checkBudgets(sample) {
+    await this.budgets.ready;
+    
+    const exceeded = this.budgets.record(sample);
+    await this.budgets.save();
+    
+    exceeded.forEach(status => {
+      chrome.notifications.create(`budget-${status.budget.id}-${status.periodKey}`, {
+        type: 'basic',
+        iconUrl: 'icons/icon128.png',
+        title: 'Emissions budget exceeded',
+        message: `${status.label}: ${formatBudgetAmount(status.budget, status.used)} used`
+      });
+    });
+  }
+
+  setBadgeSettings(settings) {
+    this.badgeSettings = normalizeBadgeSettings(settings);
+    
+    const latestSample = this.samples[this.samples.length - 1];
+    if (this.isProfiling && latestSample) {
+      this.updateBadge(latestSample);
+    } else {
+      this.showIdleBadge();
+    }
+  }
+
+  // Live reading on the toolbar icon, coloured by the configured scale
+  async updateBadge(sample) {
+    const state = badgeState(sample, this.badgeSettings);
+    const unit = BADGE_METRICS[this.badgeSettings.metric].unit;
+    
+    await this.setBadge(state.text, state.color,
+      `Emissions Profiler: ${state.value.toFixed(state.value >= 10 ? 0 : 2)} ${unit}\n${this.describeSessionTotals()}`);
+  }
+
+  async showIdleBadge() {
+    const totals = this.session ? `\nLast session:\n${this.describeSessionTotals()}` : '';
+    await this.setBadge(BADGE_IDLE.text, BADGE_IDLE.color, `Emissions Profiler: not profiling${totals}`);
+  }
+
+  async setBadge(text, color, title) {
+    try {
+      await chrome.action.setBadgeText({ text });
+      await chrome.action.setBadgeBackgroundColor({ color });
+      if (chrome.action.setBadgeTextColor) {
+        await chrome.action.setBadgeTextColor({ color: '#FFFFFF' });
+      }
+      await chrome.action.setTitle({ title });
+    } catch (error) {
+      console.error('Failed to update badge:', error);
+    }
+  }
+
+  // Session totals for the toolbar tooltip
+  describeSessionTotals() {
+    if (!this.session) return '';
+    
+    const summary = this.summarizeSession(this.session);
+    const format = ({ value, unit, precision }) => `${value.toFixed(precision)} ${unit}`;
+    const minutes = Math.floor(summary.duration / 60);
+    const seconds = Math.round(summary.duration % 60);
+    
+    return [
+      `Duration: ${minutes}m ${seconds}s`,
+      `Energy: ${format(this.formatEnergyValue(summary.totalEnergy))}`,
+      `Device CO₂: ${format(this.formatCO2Value(summary.totalCO2e))}`,
+      `Transfer CO₂: ${format(this.formatCO2Value(summary.totalTransferCO2e))}`,
+      `Avg power: ${summary.sampleCount > 0 ? format(this.formatPowerValue(summary.avgPower)) : '--'}`
+    ].join('\n');
+  }
+
+  async sampleSystemMetrics() {
+    const system = {
+      cpuUsage: null,
+      processorCount: 0,
+      memoryUsed: null,
+      memoryCapacity: null
+    };
+    
+    try {
+      const cpuInfo = await chrome.system.cpu.getInfo();
+      const times = cpuInfo.processors.map(processor => processor.usage);
+      system.processorCount = times.length;
+      
+      // Counters are cumulative since boot, so utilisation comes from the delta
+      if (this.lastCpuTimes && this.lastCpuTimes.length === times.length) {
+        let busy = 0;
+        let total = 0;
+        
+        times.forEach((usage, index) => {
+          const previous = this.lastCpuTimes[index];
+          busy += (usage.user - previous.user) + (usage.kernel - previous.kernel);
+          total += usage.total - previous.total;
+        });
+        
+        if (total > 0) {
+          system.cpuUsage = this.validateNumber(busy / total * 100, 0, 100);
+        }
+      }
+      
+      this.lastCpuTimes = times;
+    } catch (error) {
+      console.error('Failed to read system CPU info:', error);
+    }
+    
+    try {
+      const memoryInfo = await chrome.system.memory.getInfo();
+      system.memoryCapacity = memoryInfo.capacity / 1024 / 1024;
+      system.memoryUsed = (memoryInfo.capacity - memoryInfo.availableCapacity) / 1024 / 1024;
+    } catch (error) {
+      console.error('Failed to read system memory info:', error);
+    }
+    
+    return system;
+  }
+
   aggregatePageMetrics() {
     const aggregated = {
       cpuTotal: 0,
       memoryTotal: 0,
       networkTotal: 0,
+      transferBytes: 0,
       tabCount: this.pageMetrics.size,
       tabs: []
     };
@@ -96,15 +514,20 @@ class PowerProfiler {
       aggregated.cpuTotal += metrics.cpu || 0;
       aggregated.memoryTotal += metrics.memory || 0;
       aggregated.networkTotal += metrics.network || 0;
+      aggregated.transferBytes += metrics.pendingTransferBytes || 0;
       
       aggregated.tabs.push({
         tabId,
         cpu: metrics.cpu || 0,
         memory: metrics.memory || 0,
         network: metrics.network || 0,
+        transferBytes: metrics.pendingTransferBytes || 0,
         url: metrics.url || 'unknown',
         domain: metrics.domain || 'unknown'
       });
+      
+      // Each byte counts towards exactly one sample
+      metrics.pendingTransferBytes = 0;
     }
     
     return aggregated;
@@ -118,12 +541,43 @@ class PowerProfiler {
       memory: this.validateNumber(metrics.memory, 0, 10000),
       network: this.validateNumber(metrics.network, 0, 1000),
       power: this.validateNumber(metrics.power, 0, 100),
+      transferTotal: this.validateNumber(metrics.transferBytes, 0, 1e12),
+      pendingTransferBytes: 0,
       url: metrics.url || 'unknown',
-      domain: metrics.domain || 'unknown'
+      domain: metrics.domain || 'unknown',
+      subscribed: metrics.subscribed === true, // The page asked for per-sample updates
+      resourceTypes: this.validateResourceTypes(metrics.resourceTypes)
     };
     
+    // Pages report a running byte total; keep only what arrived since the last report. The
+    // last total is kept apart from pageMetrics, which drops throttled background tabs, so a
+    // tab that reports again after a pause is not charged its whole total twice.
+    const previous = this.pageMetrics.get(tabId);
+    const seen = this.transferTotals.get(tabId);
+    const newBytes = seen && seen.url === validatedMetrics.url && validatedMetrics.transferTotal >= seen.total
+      ? validatedMetrics.transferTotal - seen.total
+      : validatedMetrics.transferTotal; // A new page, or the same URL reloaded
+    validatedMetrics.pendingTransferBytes = (previous ? previous.pendingTransferBytes : 0) + newBytes;
+    this.transferTotals.set(tabId, { url: validatedMetrics.url, total: validatedMetrics.transferTotal });
+    
     this.pageMetrics.set(tabId, validatedMetrics);
     
+    if (Array.isArray(metrics.userTimings) && metrics.userTimings.length > 0) {
+      this.addUserTimings(tabId, validatedMetrics, metrics.userTimings);
+    }
+    
+    this.heapLeaks.ready.then(() => {
+      if (this.heapLeaks.record(tabId, validatedMetrics, this.powerModel.coefficients)) {
+        this.recordHeapLeaks();
+        return this.heapLeaks.save();
+      }
+    }).catch(error => console.error('Heap leak check failed:', error));
+    
+    if (this.greenHosting.isGreen(validatedMetrics.domain) === null) {
+      this.greenHosting.check(validatedMetrics.domain)
+        .catch(error => console.error('Green hosting check failed:', error));
+    }
+    
     // Clean up old entries (older than 5 seconds)
     for (const [id, tabMetrics] of this.pageMetrics) {
       if (Date.now() - tabMetrics.timestamp > 5000) {
@@ -132,6 +586,100 @@ class PowerProfiler {
     }
   }
 
+  // Keeps the latest reading of every leak flagged while profiling, one entry per tab and page,
+  // so exports carry them; the session is saved with the next sample
+  recordHeapLeaks() {
+    if (!this.isProfiling || !this.session) return;
+    
+    const leaks = this.session.heapLeaks || (this.session.heapLeaks = []);
+    const now = Date.now();
+    
+    for (const finding of this.heapLeaks.getFindings()) {
+      const existing = leaks.find(leak => leak.tabId === finding.tabId && leak.url === finding.url);
+      if (existing) {
+        Object.assign(existing, finding, { lastDetected: now });
+      } else {
+        leaks.push({ ...finding, firstDetected: now, lastDetected: now });
+      }
+    }
+  }
+
+  // Marks are kept as they are; measures wait in pendingMeasures until a sample covers their end
+  addUserTimings(tabId, page, entries) {
+    if (!this.isProfiling || !this.session) return;
+    
+    const userTimings = this.session.userTimings || (this.session.userTimings = { measures: [], marks: [] });
+    
+    for (const entry of entries) {
+      const startTime = Number(entry.startTime);
+      const duration = Number(entry.duration);
+      // Buffered entries from before the session have no samples to cost them against
+      if (!isFinite(startTime) || !isFinite(duration) || duration < 0 || startTime < this.session.startTime) {
+        continue;
+      }
+      
+      const timing = {
+        name: String(entry.name).slice(0, 200),
+        tabId,
+        domain: page.domain,
+        startTime
+      };
+      
+      if (entry.entryType === 'mark') {
+        userTimings.marks.push(timing);
+        userTimings.marks.splice(0, userTimings.marks.length - MAX_USER_TIMINGS);
+      } else if (entry.entryType === 'measure') {
+        this.pendingMeasures.push({ ...timing, duration, endTime: startTime + duration });
+      }
+    }
+    
+    this.resolveMeasures();
+  }
+
+  // Costs every pending measure whose end a sample now covers
+  resolveMeasures() {
+    if (!this.session || this.pendingMeasures.length === 0) return;
+    
+    const userTimings = this.session.userTimings || (this.session.userTimings = { measures: [], marks: [] });
+    
+    this.pendingMeasures = this.pendingMeasures.filter(measure => {
+      const cover = this.samples.find(sample => sample.timestamp >= measure.endTime);
+      if (!cover) return true;
+      
+      userTimings.measures.push({ ...measure, ...this.getMeasureCost(measure, cover.timestamp) });
+      userTimings.measures.splice(0, userTimings.measures.length - MAX_USER_TIMINGS);
+      return false;
+    });
+  }
+
+  // Energy and CO2 of the samples spanning a measure, scaled down to the measure's own
+  // length when those samples stand for more time than it took
+  getMeasureCost(measure, coverEnd) {
+    const summary = this.getRangeSummary(measure.startTime, coverEnd);
+    const seconds = measure.duration / 1000;
+    const scale = summary.sampleSeconds > 0 ? Math.min(1, seconds / summary.sampleSeconds) : 0;
+    
+    let pageEnergy = 0;
+    let pageCO2e = 0;
+    for (const sample of this.samples) {
+      if (sample.timestamp < measure.startTime || sample.timestamp > coverEnd) continue;
+      
+      const share = (sample.attribution || []).find(entry => entry.tabId === measure.tabId);
+      if (share) {
+        pageEnergy += share.energy;
+        pageCO2e += share.co2e;
+      }
+    }
+    
+    return {
+      energy: summary.totalEnergy * scale,
+      co2e: summary.totalCO2e * scale,
+      pageEnergy: pageEnergy * scale,
+      pageCO2e: pageCO2e * scale,
+      avgPower: seconds > 0 ? summary.totalEnergy * scale / (seconds / 3600) : 0
+    };
+  }
+
   validateNumber(value, min, max) {
     const num = Number(value);
     if (isNaN(num) || !isFinite(num)) {
@@ -140,58 +688,276 @@ class PowerProfiler {
     return Math.max(min, Math.min(max, num));
   }
 
+  // Running per-type totals from content.js; unknown types and bad numbers are dropped
+  validateResourceTypes(types) {
+    const validated = {};
+    if (!types || typeof types !== 'object') return validated;
+    
+    for (const type of Object.keys(RESOURCE_TYPES)) {
+      const row = types[type];
+      if (!row) continue;
+      
+      validated[type] = {
+        requests: this.validateNumber(row.requests, 0, 1e6),
+        transferBytes: this.validateNumber(row.transferBytes, 0, 1e12),
+        decodedBytes: this.validateNumber(row.decodedBytes, 0, 1e12)
+      };
+    }
+    return validated;
+  }
+
+  // Page weight and transfer emissions by resource type for a tab's current page
+  getResourceTypes(tabId) {
+    const page = this.pageMetrics.get(tabId);
+    if (!page) return null;
+    
+    const green = this.greenHosting.isGreen(page.domain) === true;
+    return {
+      url: page.url,
+      domain: page.domain,
+      green,
+      types: summarizeResourceTypes(page.resourceTypes || {}, bytes => this.calculateTransferCO2e(bytes, green))
+    };
+  }
+
   validatePower(power) {
     const num = Number(power);
     if (isNaN(num) || !isFinite(num)) {
       console.warn('Invalid power value received, defaulting to 0.5W');
-      return 0.5;
     }
     
-    // Clamp between 0.1W and 100W (reasonable range for browser tabs)
-    return Math.max(0.1, Math.min(100, num));
+    return clampPower(num);
   }
 
   estimatePower(metrics) {
     try {
-      // Enhanced power estimation model based on aggregated metrics
-      let totalPower = 0;
-      
-      // Base power per tab (idle)
-      const basePowerPerTab = 0.3; // 0.3W per idle tab
-      totalPower += basePowerPerTab * Math.max(1, metrics.tabCount);
-      
-      // CPU power (proportional to CPU usage)
-      // Assuming 2W at 100% CPU utilization per core
-      const cpuPowerFactor = 0.02; // 0.02W per 1% CPU
-      totalPower += metrics.cpuTotal * cpuPowerFactor;
-      
-      // Memory power (DRAM power)
-      // Roughly 0.001W per MB
-      const memoryPowerFactor = 0.001;
-      totalPower += metrics.memoryTotal * memoryPowerFactor;
-      
-      // Network power (radio/interface power)
-      const networkPowerFactor = 0.001;
-      totalPower += metrics.networkTotal * networkPowerFactor;
-      
-      // Add power for active tab (if we have any tabs)
-      if (metrics.tabs.length > 0) {
-        const activeTabBoost = 0.1; // Extra power for user interaction
-        totalPower += activeTabBoost;
-      }
-      
-      return this.validatePower(totalPower);
+      return this.validatePower(estimateTotalPower(metrics, this.powerModel.coefficients));
     } catch (error) {
       console.error('Error estimating power:', error);
       return 0.5; // Default fallback
     }
   }
 
-  calculateCO2e(energyWh) {
+  setPowerModel(settings) {
+    this.powerModel = resolvePowerModel(settings);
+    
+    // Keep a record of mid-session model changes so the numbers stay explainable
+    if (this.session && this.isProfiling) {
+      this.session.powerModelChanges = this.session.powerModelChanges || [];
+      this.session.powerModelChanges.push({ since: Date.now(), ...this.powerModel });
+    }
+    
+    console.log('Power model set to', this.powerModel.label);
+  }
+
+  attributePower(metrics, power) {
+    const tabs = metrics.tabs || [];
+    
+    // With no pages reporting, the whole sample is browser idle power
+    if (tabs.length === 0) {
+      return [{ tabId: null, url: '', domain: IDLE_DOMAIN, power, transferBytes: 0 }];
+    }
+    
+    // Same terms as estimatePower(), evaluated per tab
+    const coefficients = this.powerModel.coefficients;
+    const activeIndex = tabs.findIndex(tab => tab.tabId === this.activeTabId);
+    const tabPowers = tabs.map((tab, index) => {
+      let tabPower = estimateTabPower(tab, coefficients);
+      
+      if (index === activeIndex) {
+        tabPower += coefficients.activeTabBoost;
+      } else if (activeIndex === -1) {
+        tabPower += coefficients.activeTabBoost / tabs.length;
+      }
+      
+      return tabPower;
+    });
+    
+    // Scale shares so they add up to the clamped sample power
+    const rawTotal = tabPowers.reduce((sum, tabPower) => sum + tabPower, 0);
+    const scale = rawTotal > 0 ? power / rawTotal : 0;
+    
+    return tabs.map((tab, index) => ({
+      tabId: tab.tabId,
+      url: tab.url,
+      domain: tab.domain,
+      power: tabPowers[index] * scale,
+      transferBytes: tab.transferBytes
+    }));
+  }
+
+  setCO2IntensitySchedule(schedule) {
+    this.co2IntensitySchedule = normalizeIntensitySchedule(schedule);
+    
+    if (this.session && this.isProfiling) {
+      this.session.co2IntensitySchedule = this.co2IntensitySchedule;
+    }
+    
+    console.log('CO2 intensity schedule',
+      this.co2IntensitySchedule && this.co2IntensitySchedule.enabled ? 'enabled' : 'disabled');
+  }
+
+  setCO2IntensitySource(source) {
+    this.co2IntensitySource = source || null;
+    
+    // The session keeps the source it started with; later picks are listed after it
+    if (this.session && this.isProfiling) {
+      this.session.co2IntensitySourceChanges = this.session.co2IntensitySourceChanges || [];
+      this.session.co2IntensitySourceChanges.push({ since: Date.now(), source: this.co2IntensitySource });
+    }
+  }
+
+  // Polls the live endpoint on its own alarm, whether or not a session is running
+  scheduleLiveIntensity() {
+    const config = this.liveIntensity.config;
+    
+    if (config.enabled) {
+      chrome.alarms.create(LIVE_INTENSITY_ALARM, { periodInMinutes: config.pollMinutes });
+      this.liveIntensity.poll();
+    } else {
+      chrome.alarms.clear(LIVE_INTENSITY_ALARM);
+    }
+  }
+
+  async setLiveIntensityConfig(config) {
+    await this.liveIntensity.configure(config);
+    this.scheduleLiveIntensity();
+    
+    console.log('Live carbon intensity', this.liveIntensity.config.enabled ? 'enabled' : 'disabled');
+  }
+
+  setCO2Intensity(intensity) {
+    this.co2Intensity = validateCO2Intensity(intensity).value;
+    console.log('CO2 intensity set to', this.co2Intensity, 'g/kWh');
+  }
+
+  setSamplingSettings(settings) {
+    const previous = this.sampling;
+    this.sampling = normalizeSamplingSettings(settings);
+    
+    if (this.samples.length > this.sampling.sampleWindow) {
+      this.samples.splice(0, this.samples.length - this.sampling.sampleWindow);
+    }
+    if (this.metricsHistory.length > this.sampling.historySize) {
+      this.metricsHistory.splice(0, this.metricsHistory.length - this.sampling.historySize);
+    }
+    
+    // A running timer keeps its old period, so restart it on the new one
+    if (this.sampleInterval && previous.intervalSeconds !== this.sampling.intervalSeconds) {
+      clearInterval(this.sampleInterval);
+      this.sampleInterval = null;
+      this.startSampling();
+    }
+    
+    console.log('Sampling every', this.sampling.intervalSeconds, 's');
+  }
+
+  async setPrivacySettings(settings) {
+    this.privacy = normalizePrivacySettings(settings);
+    await this.pruneSessions();
+  }
+
+  async setRetentionSettings(settings) {
+    this.retention = normalizeRetentionSettings(settings);
+    this.rollups.setRetention(this.retention);
+    await this.compactStorage();
+  }
+
+  // Registers page-api.js for the sites the page API is allowed on, so other sites never see
+  // window.__chromePowerProfiler. Newly allowed sites get it on their next load.
+  async setPageApiSettings(settings) {
+    const matches = pageApiMatchPatterns(normalizePageApiSettings(settings));
+    
+    try {
+      const registered = await chrome.scripting.getRegisteredContentScripts({ ids: [PAGE_API_SCRIPT_ID] });
+      if (registered.length > 0) {
+        await chrome.scripting.unregisterContentScripts({ ids: [PAGE_API_SCRIPT_ID] });
+      }
+      
+      if (matches.length > 0) {
+        await chrome.scripting.registerContentScripts([{
+          id: PAGE_API_SCRIPT_ID,
+          js: ['page-api.js'],
+          matches,
+          runAt: 'document_start',
+          world: 'MAIN'
+        }]);
+      }
+    } catch (error) {
+      console.error('Failed to register the page API script:', error);
+    }
+  }
+
+  // Rolls new samples into the minute, hour and day tiers, then prunes each tier
+  async compactStorage() {
+    try {
+      await this.rollups.compact();
+    } catch (error) {
+      console.error('Failed to compact stored samples:', error);
+    }
+  }
+
+  // Deletes finished sessions older than the retention period; 0 days keeps them all
+  async pruneSessions() {
+    if (!this.privacy.retentionDays) return 0;
+    
+    const cutoff = Date.now() - this.privacy.retentionDays * 24 * 60 * 60 * 1000;
+    const sessions = await this.store.listSessions();
+    const expired = sessions.filter(session => session.endTime && session.endTime < cutoff);
+    
+    for (const session of expired) {
+      await this.store.deleteSession(session.id);
+    }
+    
+    if (expired.length > 0) {
+      console.log('Deleted', expired.length, 'sessions past the retention period');
+    }
+    return expired.length;
+  }
+
+  // Deletes every finished session and its samples; a running session is kept.
+  // The rollups keep their totals, so they are brought up to date first.
+  async deleteSessions() {
+    await this.rollups.rollUp();
+    const sessions = await this.store.listSessions();
+    const activeId = this.isProfiling && this.session ? this.session.id : null;
+    const finished = sessions.filter(session => session.id !== activeId);
+    
+    for (const session of finished) {
+      await this.store.deleteSession(session.id);
+    }
+    
+    if (!this.isProfiling) {
+      this.session = null;
+      await chrome.storage.local.remove('lastSessionId');
+      await this.showIdleBadge();
+    }
+    return finished.length;
+  }
+
+  // Grid intensity in effect at a moment: a fresh live reading, else the schedule, else the constant
+  resolveCO2Intensity(timestamp = Date.now()) {
+    const live = this.liveIntensity.intensityAt(timestamp);
+    if (live !== null) {
+      return { co2Intensity: live, intensityOrigin: 'live' };
+    }
+    
+    if (this.co2IntensitySchedule && this.co2IntensitySchedule.enabled) {
+      return { co2Intensity: intensityAt(this.co2IntensitySchedule, timestamp), intensityOrigin: 'schedule' };
+    }
+    
+    return { co2Intensity: this.co2Intensity, intensityOrigin: 'static' };
+  }
+
+  getCO2Intensity(timestamp = Date.now()) {
+    return this.resolveCO2Intensity(timestamp).co2Intensity;
+  }
+
+  calculateCO2e(energyWh, timestamp = Date.now()) {
     try {
-      // Convert Wh to kWh and multiply by carbon intensity
+      // Convert Wh to kWh and multiply by the carbon intensity when the energy was used
       const energyKWh = energyWh / 1000;
-      const co2 = energyKWh * this.co2Intensity;
+      const co2 = energyKWh * this.getCO2Intensity(timestamp);
       
       // Validate result
       if (isNaN(co2) || !isFinite(co2) || co2 < 0) {
@@ -205,6 +971,16 @@ class PowerProfiler {
     }
   }
 
+  // Data-transfer emissions (network, data centre and device share) per the SWD model
+  calculateTransferCO2e(bytes, green = false) {
+    try {
+      return estimateTransferCO2e(this.transferModel, bytes, green);
+    } catch (error) {
+      console.error('Error calculating transfer CO2e:', error);
+      return 0;
+    }
+  }
+
   addToHistory(sample) {
     // Validate sample before adding to history
     const validatedSample = {
@@ -216,8 +992,8 @@ class PowerProfiler {
     };
     
     this.metricsHistory.push(validatedSample);
-    if (this.metricsHistory.length > this.maxHistorySize) {
-      this.metricsHistory.shift();
+    if (this.metricsHistory.length > this.sampling.historySize) {
+      this.metricsHistory.splice(0, this.metricsHistory.length - this.sampling.historySize);
     }
   }
 
@@ -229,7 +1005,12 @@ class PowerProfiler {
         power: 0,
         energy: 0,
         co2e: 0,
-        metrics: {}
+        metrics: {},
+        co2Intensity: this.getCO2Intensity(),
+        sessionEnergy: 0,
+        sessionCO2e: 0,
+        sessionTransferBytes: 0,
+        sessionTransferCO2e: 0
       };
     }
     
@@ -241,104 +1022,209 @@ class PowerProfiler {
       power: this.validatePower(latestSample.power),
       energy: this.validateNumber(latestSample.energy, 0, 100),
       co2e: this.validateNumber(latestSample.co2e, 0, 1000),
-      metrics: latestSample.metrics || {}
+      metrics: latestSample.metrics || {},
+      co2Intensity: this.getCO2Intensity(latestSample.timestamp),
+      sessionEnergy: this.session ? this.session.totalEnergy : 0,
+      sessionCO2e: this.session ? this.session.totalCO2e : 0,
+      sessionTransferBytes: this.session ? this.session.totalTransferBytes || 0 : 0,
+      sessionTransferCO2e: this.session ? this.session.totalTransferCO2e || 0 : 0
     };
   }
 
   getSummary() {
-    if (this.samples.length === 0) {
-      return {
-        totalEnergy: 0,
-        totalCO2e: 0,
-        avgPower: 0,
-        duration: 0,
-        sampleCount: 0,
-        samples: []
-      };
-    }
-    
     // Filter out any invalid samples
-    const validSamples = this.samples.filter(sample => 
-      this.validatePower(sample.power) > 0 &&
-      !isNaN(sample.energy) &&
-      !isNaN(sample.co2e)
-    );
+    const validSamples = this.samples.filter(isValidSample);
     
-    if (validSamples.length === 0) {
+    // The persisted session totals outlive the one-hour sample window
+    if (this.session && this.session.sampleCount > 0) {
       return {
-        totalEnergy: 0,
-        totalCO2e: 0,
-        avgPower: 0,
-        duration: 0,
-        sampleCount: 0,
-        samples: []
+        ...this.summarizeSession(this.session),
+        samples: validSamples
       };
     }
     
-    const totalEnergy = validSamples.reduce((sum, sample) => {
-      const energy = this.validateNumber(sample.energy, 0, 100);
-      return sum + energy;
-    }, 0);
+    return {
+      ...summarizeSamples(validSamples),
+      samples: validSamples
+    };
+  }
+
+  summarizeSession(session) {
+    const seconds = session.totalSeconds || session.sampleCount;
+    const avgPower = seconds > 0 ? session.totalEnergy / (seconds / 3600) : 0;
     
-    const totalCO2e = validSamples.reduce((sum, sample) => {
-      const co2 = this.validateNumber(sample.co2e, 0, 1000);
-      return sum + co2;
-    }, 0);
+    return {
+      totalEnergy: session.totalEnergy,
+      totalCO2e: session.totalCO2e,
+      totalTransferBytes: session.totalTransferBytes || 0,
+      totalTransferCO2e: session.totalTransferCO2e || 0,
+      avgPower: session.sampleCount > 0 ? this.validatePower(avgPower) : 0,
+      effectiveCO2Intensity: effectiveCO2Intensity(session.totalEnergy, session.totalCO2e),
+      duration: ((session.lastSampleTime || session.startTime) - session.startTime) / 1000,
+      sampleCount: session.sampleCount
+    };
+  }
+
+  // Session totals plus one tab's own share. Pages never see other sites' attribution.
+  getPageSummary(tabId) {
+    if (!this.session) {
+      throw new Error('No profiling session');
+    }
     
-    const avgPower = validSamples.length > 0 ? 
-      totalEnergy / (validSamples.length / 3600) : 0;
+    const tab = (this.session.attribution || createAttributionTotals()).tabs[tabId];
+    const totalEnergy = this.session.totalEnergy;
     
-    const duration = validSamples.length > 0 ? 
-      (validSamples[validSamples.length - 1].timestamp - validSamples[0].timestamp) / 1000 :
-      0;
+    return {
+      sessionId: this.session.id,
+      isProfiling: this.isProfiling,
+      ...this.summarizeSession(this.session),
+      page: {
+        energy: tab ? tab.energy : 0,
+        co2e: tab ? tab.co2e : 0,
+        transferBytes: tab ? tab.transferBytes : 0,
+        transferCO2e: tab ? tab.transferCO2e : 0,
+        share: tab && totalEnergy > 0 ? tab.energy / totalEnergy : 0
+      }
+    };
+  }
+  
+  // A sample as a page sees it: browser totals and that tab's share only
+  getPageSample(sample, tabId) {
+    const share = (sample.attribution || []).find(entry => entry.tabId === tabId);
     
     return {
-      totalEnergy,
-      totalCO2e,
-      avgPower: this.validatePower(avgPower),
-      duration,
-      sampleCount: validSamples.length,
-      samples: validSamples
+      timestamp: sample.timestamp,
+      duration: sample.duration,
+      power: sample.power,
+      energy: sample.energy,
+      co2e: sample.co2e,
+      page: share ? {
+        power: share.power,
+        energy: share.energy,
+        co2e: share.co2e,
+        transferBytes: share.transferBytes,
+        transferCO2e: share.transferCO2e
+      } : null
     };
   }
+  
+  notifyPageSubscribers(sample) {
+    for (const [tabId, metrics] of this.pageMetrics) {
+      if (!metrics.subscribed) continue;
+      
+      chrome.tabs.sendMessage(tabId, { action: 'profilerSample', sample: this.getPageSample(sample, tabId) })
+        .catch(() => {
+          // The tab navigated or closed since its last report
+        });
+    }
+  }
+  
+  // Requests from window.__chromePowerProfiler, relayed by the tab's content script
+  async handlePageApi(method, tabId) {
+    switch (method) {
+      case 'startProfiling':
+        await this.startProfiling();
+        return { isProfiling: this.isProfiling, sessionId: this.session.id };
+        
+      case 'stopProfiling':
+        this.stopProfiling();
+        return this.getPageSummary(tabId);
+        
+      case 'getSummary':
+        return this.getPageSummary(tabId);
+        
+      default:
+        throw new Error(`Unknown page API method: ${method}`);
+    }
+  }
+
+  // Everything needed to reproduce a session's numbers outside the extension
+  async getSessionExport(sessionId) {
+    let session = this.session;
+    
+    if (sessionId && (!session || session.id !== sessionId)) {
+      session = await this.store.getSession(sessionId);
+    } else if (!session) {
+      const { lastSessionId } = await chrome.storage.local.get('lastSessionId');
+      session = lastSessionId ? await this.store.getSession(lastSessionId) : null;
+    }
+    
+    if (!session) {
+      throw new Error('No session to export');
+    }
+    
+    const samples = await this.store.getSamples(session.id);
+    const manifest = chrome.runtime.getManifest();
+    
+    return buildSessionExport({
+      session,
+      summary: this.summarizeSession(session),
+      samples,
+      settings: {
+        co2Intensity: session.co2Intensity,
+        co2IntensitySchedule: session.co2IntensitySchedule || null,
+        co2IntensitySource: session.co2IntensitySource || null,
+        co2IntensitySourceChanges: session.co2IntensitySourceChanges || [],
+        liveIntensity: this.describeLiveIntensity(),
+        powerModel: session.powerModel || this.powerModel,
+        powerModelChanges: session.powerModelChanges || [],
+        sampling: session.sampling || null,
+        transferModel: TRANSFER_MODEL_LABEL
+      },
+      attribution: this.withGreenHosting(rankAttribution(session.attribution || createAttributionTotals())),
+      userTimings: this.describeUserTimings(session),
+      heapLeaks: session.heapLeaks || [],
+      generator: { name: manifest.name, version: manifest.version }
+    });
+  }
+
+  // Per-name totals plus every costed measure and mark of a session
+  describeUserTimings(session) {
+    const { measures = [], marks = [] } = session.userTimings || {};
+    return { summary: summarizeMeasures(measures), measures, marks };
+  }
+
+  // Live endpoint settings for exports, without the credential
+  describeLiveIntensity() {
+    const { authValue, ...config } = this.liveIntensity.config;
+    return config;
+  }
 
   getRangeSummary(startTime, endTime) {
-    const rangeSamples = this.samples.filter(sample => 
-      sample.timestamp >= startTime && 
-      sample.timestamp <= endTime &&
-      this.validatePower(sample.power) > 0
-    );
+    return summarizeRange(this.samples, startTime, endTime);
+  }
+
+  // Per-domain and per-tab totals for the whole session or a time range
+  async getAttribution(startTime, endTime) {
+    if (!this.session) {
+      return rankAttribution(createAttributionTotals());
+    }
     
-    if (rangeSamples.length === 0) {
-      return {
-        totalEnergy: 0,
-        totalCO2e: 0,
-        avgPower: 0,
-        rangeDuration: (endTime - startTime) / 1000,
-        sampleCount: 0
-      };
+    if (startTime === undefined && endTime === undefined) {
+      return rankAttribution(this.session.attribution || createAttributionTotals());
     }
     
-    const totalEnergy = rangeSamples.reduce((sum, sample) => {
-      const energy = this.validateNumber(sample.energy, 0, 100);
-      return sum + energy;
-    }, 0);
+    const samples = await this.store.getSamplesInRange(
+      this.session.id,
+      startTime !== undefined ? startTime : this.session.startTime,
+      endTime !== undefined ? endTime : Date.now()
+    );
     
-    const totalCO2e = rangeSamples.reduce((sum, sample) => {
-      const co2 = this.validateNumber(sample.co2e, 0, 1000);
-      return sum + co2;
-    }, 0);
+    const totals = samples.reduce(
+      (acc, sample) => addAttribution(acc, sample),
+      createAttributionTotals()
+    );
     
-    const rangeDuration = (endTime - startTime) / 1000;
-    const avgPower = rangeDuration > 0 ? 
-      totalEnergy / (rangeDuration / 3600) : 0;
+    return rankAttribution(totals);
+  }
+
+  // Mark each domain with its cached green-hosting status
+  withGreenHosting(attribution) {
+    const mark = entry => ({ ...entry, green: this.greenHosting.isGreen(entry.domain) });
     
     return {
-      totalEnergy,
-      totalCO2e,
-      avgPower: this.validatePower(avgPower),
-      rangeDuration,
-      sampleCount: rangeSamples.length
+      domains: attribution.domains.map(mark),
+      tabs: attribution.tabs.map(mark)
     };
   }
 
@@ -388,6 +1274,11 @@ const profiler = new PowerProfiler();
 
 // Message handling
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+  profiler.ready.then(() => handleMessage(request, sender, sendResponse));
+  return true; // Keep message channel open for async response
+});
+
+function handleMessage(request, sender, sendResponse) {
   try {
     switch (request.action) {
       case 'startProfiling':
@@ -414,6 +1305,56 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
         sendResponse({ success: true, summary: rangeSummary });
         break;
         
+      case 'getAttribution':
+        profiler.getAttribution(request.startTime, request.endTime)
+          .then(attribution => sendResponse({
+            success: true,
+            attribution: profiler.withGreenHosting(attribution),
+            greenHosting: profiler.greenHosting.getStatus()
+          }))
+          .catch(error => sendResponse({ success: false, error: error.message }));
+        break;
+        
+      case 'getResourceTypes':
+        sendResponse({ success: true, page: profiler.getResourceTypes(request.tabId) });
+        break;
+        
+      case 'getUserTimings':
+        sendResponse({
+          success: true,
+          userTimings: profiler.session ? profiler.describeUserTimings(profiler.session) : null
+        });
+        break;
+        
+      case 'listSessions':
+        profiler.store.listSessions()
+          .then(sessions => sendResponse({
+            success: true,
+            sessions: sessions
+              .sort((a, b) => b.startTime - a.startTime)
+              .map(session => ({
+                id: session.id,
+                startTime: session.startTime,
+                endTime: session.endTime,
+                summary: profiler.summarizeSession(session)
+              }))
+          }))
+          .catch(error => sendResponse({ success: false, error: error.message }));
+        break;
+        
+      case 'queryRollups':
+        profiler.ready
+          .then(() => profiler.rollups.query(request.query))
+          .then(result => sendResponse({ success: true, ...result }))
+          .catch(error => sendResponse({ success: false, error: error.message }));
+        break;
+        
+      case 'exportSession':
+        profiler.getSessionExport(request.sessionId)
+          .then(data => sendResponse({ success: true, data }))
+          .catch(error => sendResponse({ success: false, error: error.message }));
+        break;
+        
       case 'getFullSummary':
         const fullSummary = profiler.getSummary();
         sendResponse({ success: true, summary: fullSummary });
@@ -422,7 +1363,7 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
       case 'setCO2Intensity':
         if (request.intensity !== undefined) {
           const intensity = Number(request.intensity);
-          if (!isNaN(intensity) && isFinite(intensity) && intensity >= 0 && intensity <= 1000) {
+          if (isValidIntensity(intensity)) {
             profiler.co2Intensity = intensity;
             sendResponse({ success: true });
           } else {
@@ -431,6 +1372,40 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
         }
         break;
         
+      case 'checkGreenHosting':
+        Promise.all((request.domains || []).map(domain =>
+          profiler.greenHosting.check(domain).then(green => [domain, green])))
+          .then(entries => sendResponse({
+            success: true,
+            green: Object.fromEntries(entries),
+            status: profiler.greenHosting.getStatus()
+          }))
+          .catch(error => sendResponse({ success: false, error: error.message }));
+        break;
+        
+      case 'getGreenHostingStatus':
+        profiler.greenHosting.ready
+          .then(() => sendResponse({ success: true, status: profiler.greenHosting.getStatus() }))
+          .catch(error => sendResponse({ success: false, error: error.message }));
+        break;
+        
+      case 'importGreenDomains':
+        profiler.greenHosting.importDataset(request.dataset)
+          .then(count => sendResponse({ success: true, count }))
+          .catch(error => sendResponse({ success: false, error: error.message }));
+        break;
+        
+      case 'pageApi':
+        if (!sender || !sender.tab) {
+          sendResponse({ success: false, error: 'Page API calls must come from a tab' });
+          break;
+        }
+        profiler.ready
+          .then(() => profiler.handlePageApi(request.method, sender.tab.id))
+          .then(result => sendResponse({ success: true, result }))
+          .catch(error => sendResponse({ success: false, error: error.message }));
+        break;
+        
       case 'updatePageMetrics':
         if (sender && sender.tab && request.metrics) {
           profiler.updatePageMetrics(sender.tab.id, request.metrics);
@@ -440,6 +1415,36 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
         }
         break;
         
+      case 'getLiveIntensityStatus':
+        profiler.liveIntensity.ready
+          .then(() => sendResponse({ success: true, status: profiler.liveIntensity.getStatus() }))
+          .catch(error => sendResponse({ success: false, error: error.message }));
+        break;
+        
+      case 'testLiveIntensity':
+        testIntensityProvider(request.config || {})
+          .then(reading => sendResponse({ success: true, reading }))
+          .catch(error => sendResponse({ success: false, error: error.message }));
+        break;
+        
+      case 'deleteSessions':
+        profiler.deleteSessions()
+          .then(count => sendResponse({ success: true, count }))
+          .catch(error => sendResponse({ success: false, error: error.message }));
+        break;
+        
+      case 'getHeapLeaks':
+        profiler.heapLeaks.ready
+          .then(() => sendResponse({ success: true, leaks: profiler.heapLeaks.getFindings() }))
+          .catch(error => sendResponse({ success: false, error: error.message }));
+        break;
+        
+      case 'getBudgetStatus':
+        profiler.budgets.ready
+          .then(() => sendResponse({ success: true, budgets: profiler.budgets.getStatus() }))
+          .catch(error => sendResponse({ success: false, error: error.message }));
+        break;
+        
       case 'ping':
         sendResponse({ alive: true, timestamp: Date.now() });
         break;
@@ -455,19 +1460,101 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
       timestamp: Date.now()
     });
   }
+}
+
+// Wake-up from the keep-alive alarm; restoring the session restarts sampling
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === KEEPALIVE_ALARM) {
+    profiler.ready.then(() => {
+      if (profiler.isProfiling) {
+        profiler.startSampling();
+      }
+    });
+  }
   
-  return true; // Keep message channel open for async response
+  if (alarm.name === LIVE_INTENSITY_ALARM) {
+    profiler.ready.then(() => profiler.liveIntensity.poll());
+  }
+  
+  if (alarm.name === ROLLUP_ALARM) {
+    profiler.ready.then(() => profiler.compactStorage());
+  }
 });
 
 // Clean up when tabs are closed
 chrome.tabs.onRemoved.addListener((tabId) => {
   profiler.pageMetrics.delete(tabId);
+  profiler.transferTotals.delete(tabId);
+  profiler.budgets.endVisit(tabId);
+  profiler.heapLeaks.ready.then(() => {
+    profiler.heapLeaks.endVisit(tabId);
+    return profiler.heapLeaks.save();
+  });
+});
+
+// Apply settings from the options page and popup without a restart
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'local' && changes.co2Intensity) {
+    profiler.ready.then(() => profiler.setCO2Intensity(changes.co2Intensity.newValue));
+  }
+  
+  if (areaName === 'local' && changes.sampling) {
+    profiler.ready.then(() => profiler.setSamplingSettings(changes.sampling.newValue));
+  }
+  
+  if (areaName === 'local' && changes.privacy) {
+    profiler.ready.then(() => profiler.setPrivacySettings(changes.privacy.newValue))
+      .catch(error => console.error('Failed to apply privacy settings:', error));
+  }
+  
+  if (areaName === 'local' && changes.pageApi) {
+    profiler.ready.then(() => profiler.setPageApiSettings(changes.pageApi.newValue));
+  }
+  
+  if (areaName === 'local' && changes.retention) {
+    profiler.ready.then(() => profiler.setRetentionSettings(changes.retention.newValue));
+  }
+  
+  if (areaName === 'local' && changes.powerModel) {
+    profiler.ready.then(() => profiler.setPowerModel(changes.powerModel.newValue));
+  }
+  
+  if (areaName === 'local' && changes.co2IntensitySource) {
+    profiler.ready.then(() => profiler.setCO2IntensitySource(changes.co2IntensitySource.newValue));
+  }
+  
+  if (areaName === 'local' && changes.badgeSettings) {
+    profiler.ready.then(() => profiler.setBadgeSettings(changes.badgeSettings.newValue));
+  }
+  
+  if (areaName === 'local' && changes.budgets) {
+    profiler.budgets.ready.then(() => profiler.budgets.setBudgets(changes.budgets.newValue));
+  }
+  
+  if (areaName === 'local' && changes.liveIntensityConfig) {
+    profiler.ready.then(() => profiler.setLiveIntensityConfig(changes.liveIntensityConfig.newValue));
+  }
+  
+  if (areaName === 'local' && changes.co2IntensitySchedule) {
+    profiler.ready.then(() => profiler.setCO2IntensitySchedule(changes.co2IntensitySchedule.newValue));
+  }
+});
+
+// Track the focused tab so interaction power goes to the right site
+chrome.tabs.onActivated.addListener((activeInfo) => {
+  profiler.activeTabId = activeInfo.tabId;
 });
 
 // Listen for tab updates
 chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
   if (changeInfo.status === 'loading') {
-    // Clear metrics when tab starts loading
+    // Clear metrics when tab starts loading; the new page is a new visit
     profiler.pageMetrics.delete(tabId);
+    profiler.transferTotals.delete(tabId);
+    profiler.budgets.endVisit(tabId);
+    profiler.heapLeaks.ready.then(() => {
+      profiler.heapLeaks.endVisit(tabId);
+      return profiler.heapLeaks.save();
+    });
   }
 });
\ No newline at end of file
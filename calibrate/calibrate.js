@@ -0,0 +1,419 @@
+// Calibration wizard: fits the power model's coefficients to wall-meter readings
+
+const RECORD_SECONDS = 15;
+
+const CALIBRATION_STEPS = [
+  {
+    id: 'idle',
+    title: '1. Idle',
+    instructions: 'Close other tabs and leave this page alone. Record once the meter reading settles.',
+    workload: null
+  },
+  {
+    id: 'cpu',
+    title: '2. CPU-heavy page',
+    instructions: 'Start the built-in CPU load, or keep a CPU-heavy page of your own in the foreground.',
+    workload: 'cpu'
+  },
+  {
+    id: 'memory',
+    title: '3. Memory-heavy page',
+    instructions: 'Start the built-in memory load, which holds about 400 MB of JavaScript heap.',
+    workload: 'memory'
+  },
+  {
+    id: 'network',
+    title: '4. Network-heavy page',
+    instructions: 'Enter the URL of a large file and start the network load, or stream a video in another tab.',
+    workload: 'network'
+  }
+];
+
+// Synthetic workloads that run in this tab, so content.js measures them like any page
+class Workloads {
+  constructor() {
+    this.cpuInterval = null;
+    this.memory = [];
+    this.networkActive = false;
+  }
+
+  startCpu() {
+    if (this.cpuInterval) return;
+
+    // 80ms of busy work every 100ms shows up as long tasks on the main thread
+    this.cpuInterval = setInterval(() => {
+      const end = performance.now() + 80;
+      let x = 0;
+      while (performance.now() < end) {
+        x += Math.sqrt(x + 1);
+      }
+    }, 100);
+  }
+
+  stopCpu() {
+    clearInterval(this.cpuInterval);
+    this.cpuInterval = null;
+  }
+
+  startMemory() {
+    if (this.memory.length > 0) return;
+
+    // 40 chunks of 10 MB, touched so the pages are actually committed
+    for (let i = 0; i < 40; i++) {
+      const chunk = new Float64Array(10 * 1024 * 1024 / 8);
+      chunk.fill(i);
+      this.memory.push(chunk);
+    }
+  }
+
+  stopMemory() {
+    this.memory = [];
+  }
+
+  async startNetwork(url) {
+    if (this.networkActive || !url) return;
+
+    this.networkActive = true;
+    while (this.networkActive) {
+      try {
+        const response = await fetch(url, { cache: 'no-store' });
+        await response.arrayBuffer();
+      } catch (error) {
+        console.error('Network workload request failed:', error);
+        await new Promise(resolve => setTimeout(resolve, 1000));
+      }
+    }
+  }
+
+  stopNetwork() {
+    this.networkActive = false;
+  }
+
+  start(workload, url) {
+    if (workload === 'cpu') this.startCpu();
+    if (workload === 'memory') this.startMemory();
+    if (workload === 'network') this.startNetwork(url);
+  }
+
+  stop(workload) {
+    if (workload === 'cpu') this.stopCpu();
+    if (workload === 'memory') this.stopMemory();
+    if (workload === 'network') this.stopNetwork();
+  }
+
+  isRunning(workload) {
+    if (workload === 'cpu') return this.cpuInterval !== null;
+    if (workload === 'memory') return this.memory.length > 0;
+    if (workload === 'network') return this.networkActive;
+    return false;
+  }
+}
+
+class CalibrationController {
+  constructor() {
+    this.readings = []; // { step, watts, features, sampleCount }
+    this.workloads = new Workloads();
+    this.powerModelSettings = {};
+    this.fit = null;
+    this.recording = false;
+    this.init();
+  }
+
+  async init() {
+    document.getElementById('recordSeconds').textContent = RECORD_SECONDS;
+    document.getElementById('fitButton').addEventListener('click', () => this.fitReadings());
+    document.getElementById('saveProfile').addEventListener('click', () => this.saveProfile());
+
+    const data = await chrome.storage.local.get('powerModel');
+    this.powerModelSettings = data.powerModel || {};
+    this.renderBaseProfiles();
+    this.renderSteps();
+
+    await this.ensureProfiling();
+  }
+
+  sendMessage(message) {
+    return new Promise((resolve) => {
+      chrome.runtime.sendMessage(message, (response) => {
+        if (chrome.runtime.lastError) {
+          console.log('Message send error for action', message.action, ':', chrome.runtime.lastError.message);
+          resolve(null);
+        } else {
+          resolve(response);
+        }
+      });
+    });
+  }
+
+  setStatus(text, isError = false) {
+    const status = document.getElementById('status');
+    status.textContent = text;
+    status.classList.toggle('error', isError);
+  }
+
+  // Readings come from the background's samples, so profiling has to be running
+  async ensureProfiling() {
+    const response = await this.sendMessage({ action: 'getCurrentMetrics' });
+    if (!response) {
+      this.setStatus('Extension not connected', true);
+      return;
+    }
+
+    if (!response.isProfiling) {
+      await this.sendMessage({ action: 'startProfiling' });
+      this.setStatus('Profiling started for calibration');
+    } else {
+      this.setStatus('Ready');
+    }
+  }
+
+  renderBaseProfiles() {
+    const select = document.getElementById('baseProfile');
+    const current = resolvePowerModel(this.powerModelSettings);
+
+    for (const [id, profile] of Object.entries(listPowerProfiles(this.powerModelSettings))) {
+      const option = document.createElement('option');
+      option.value = id;
+      option.textContent = profile.label;
+      select.appendChild(option);
+    }
+
+    select.value = current.profile;
+  }
+
+  renderSteps() {
+    const container = document.getElementById('steps');
+
+    CALIBRATION_STEPS.forEach(step => {
+      const panel = document.createElement('div');
+      panel.className = 'panel';
+
+      const title = document.createElement('h3');
+      title.textContent = step.title;
+      panel.appendChild(title);
+
+      const instructions = document.createElement('p');
+      instructions.textContent = step.instructions;
+      panel.appendChild(instructions);
+
+      const controls = document.createElement('div');
+      controls.className = 'step-controls';
+
+      let urlInput = null;
+      if (step.workload === 'network') {
+        urlInput = document.createElement('input');
+        urlInput.type = 'url';
+        urlInput.className = 'workload-url';
+        urlInput.placeholder = 'https://example.com/large-file.bin';
+        controls.appendChild(urlInput);
+      }
+
+      if (step.workload) {
+        const workloadButton = document.createElement('button');
+        workloadButton.className = 'btn btn-small';
+        workloadButton.textContent = 'Start Load';
+        workloadButton.addEventListener('click', () => {
+          if (this.workloads.isRunning(step.workload)) {
+            this.workloads.stop(step.workload);
+          } else {
+            this.workloads.start(step.workload, urlInput && urlInput.value);
+          }
+          workloadButton.textContent = this.workloads.isRunning(step.workload) ? 'Stop Load' : 'Start Load';
+        });
+        controls.appendChild(workloadButton);
+      }
+
+      const wattsInput = document.createElement('input');
+      wattsInput.type = 'number';
+      wattsInput.min = '0';
+      wattsInput.step = 'any';
+      wattsInput.placeholder = 'Meter watts';
+      controls.appendChild(wattsInput);
+
+      const recordButton = document.createElement('button');
+      recordButton.className = 'btn btn-small btn-primary';
+      recordButton.textContent = 'Record';
+      recordButton.addEventListener('click', () => this.recordStep(step, wattsInput, recordButton));
+      controls.appendChild(recordButton);
+
+      panel.appendChild(controls);
+      container.appendChild(panel);
+    });
+  }
+
+  async recordStep(step, wattsInput, button) {
+    const watts = parseFloat(wattsInput.value);
+    if (isNaN(watts) || watts <= 0) {
+      this.setStatus('Enter the watts shown on the meter first', true);
+      return;
+    }
+
+    if (this.recording) return;
+    this.recording = true;
+    button.disabled = true;
+
+    const samples = [];
+    let lastTimestamp = 0;
+
+    for (let second = RECORD_SECONDS; second > 0; second--) {
+      this.setStatus(`Recording ${step.title}: ${second}s left`);
+      await new Promise(resolve => setTimeout(resolve, 1000));
+
+      const response = await this.sendMessage({ action: 'getCurrentMetrics' });
+      const metrics = response && response.metrics;
+      if (metrics && metrics.timestamp !== lastTimestamp && metrics.metrics) {
+        samples.push(powerModelFeatures(metrics.metrics));
+        lastTimestamp = metrics.timestamp;
+      }
+    }
+
+    this.recording = false;
+    button.disabled = false;
+
+    if (samples.length === 0) {
+      this.setStatus('No samples arrived; is profiling running?', true);
+      return;
+    }
+
+    // Average each feature over the window
+    const features = {};
+    for (const key of Object.keys(samples[0])) {
+      features[key] = samples.reduce((sum, sample) => sum + sample[key], 0) / samples.length;
+    }
+
+    this.readings.push({ step: step.id, title: step.title, watts, features, sampleCount: samples.length });
+    wattsInput.value = '';
+    this.setStatus(`Recorded ${step.title}`);
+    this.renderReadings();
+  }
+
+  removeReading(index) {
+    this.readings.splice(index, 1);
+    this.renderReadings();
+  }
+
+  renderReadings() {
+    const tbody = document.getElementById('readings');
+    tbody.innerHTML = '';
+
+    document.getElementById('fitButton').disabled = this.readings.length === 0;
+
+    if (this.readings.length === 0) {
+      tbody.innerHTML = '<tr class="empty"><td colspan="8">No readings yet</td></tr>';
+      return;
+    }
+
+    this.readings.forEach((reading, index) => {
+      const row = document.createElement('tr');
+      const cells = [
+        reading.title,
+        `${reading.watts.toFixed(2)} W`,
+        reading.features.basePerTab.toFixed(0),
+        reading.features.cpu.toFixed(1),
+        reading.features.memory.toFixed(0),
+        reading.features.network.toFixed(0),
+        reading.features.systemCpu.toFixed(1)
+      ];
+
+      cells.forEach(text => {
+        const cell = document.createElement('td');
+        cell.textContent = text;
+        row.appendChild(cell);
+      });
+
+      const actionCell = document.createElement('td');
+      const removeButton = document.createElement('button');
+      removeButton.className = 'btn btn-link';
+      removeButton.textContent = '✕';
+      removeButton.title = 'Remove reading';
+      removeButton.addEventListener('click', () => this.removeReading(index));
+      actionCell.appendChild(removeButton);
+      row.appendChild(actionCell);
+
+      tbody.appendChild(row);
+    });
+  }
+
+  fitReadings() {
+    const baseProfileId = document.getElementById('baseProfile').value;
+    const baseCoefficients = listPowerProfiles(this.powerModelSettings)[baseProfileId].coefficients;
+
+    try {
+      this.fit = fitPowerCoefficients(this.readings, baseCoefficients);
+    } catch (error) {
+      this.setStatus(error.message, true);
+      return;
+    }
+
+    const tbody = document.getElementById('coefficientRows');
+    tbody.innerHTML = '';
+
+    for (const [key, label] of Object.entries(POWER_COEFFICIENT_FIELDS)) {
+      const row = document.createElement('tr');
+      [label, baseCoefficients[key], this.fit.coefficients[key]].forEach(value => {
+        const cell = document.createElement('td');
+        cell.textContent = typeof value === 'number' ? Number(value.toPrecision(4)).toString() : value;
+        row.appendChild(cell);
+      });
+      tbody.appendChild(row);
+    }
+
+    const errorText = document.getElementById('fitError');
+    errorText.textContent = `Fitting error: RMSE ${this.fit.rmse.toFixed(3)} W` +
+      (this.fit.meanAbsolutePercentError === null ? '' : `, mean ${this.fit.meanAbsolutePercentError.toFixed(1)}% off`) +
+      (this.fit.degreesOfFreedom <= 0
+        ? '. There are no more readings than fitted coefficients, so the fit is exact; record more readings to measure the error.'
+        : '');
+
+    document.getElementById('profileName').value = `Calibrated ${new Date().toLocaleDateString()}`;
+    document.getElementById('results').hidden = false;
+    this.setStatus('Fit complete');
+  }
+
+  async saveProfile() {
+    if (!this.fit) return;
+
+    const label = document.getElementById('profileName').value.trim() || 'Calibrated';
+    const id = `calibrated-${Date.now()}`;
+
+    try {
+      const data = await chrome.storage.local.get('powerModel');
+      const settings = data.powerModel || {};
+
+      const customProfiles = {
+        ...(settings.customProfiles || {}),
+        [id]: {
+          label,
+          coefficients: this.fit.coefficients,
+          calibration: {
+            createdAt: Date.now(),
+            baseProfile: document.getElementById('baseProfile').value,
+            rmse: this.fit.rmse,
+            meanAbsolutePercentError: this.fit.meanAbsolutePercentError,
+            readings: this.readings.map(({ step, watts, features, sampleCount }) =>
+              ({ step, watts, features, sampleCount }))
+          }
+        }
+      };
+
+      // The service worker and content scripts pick the new profile up via storage.onChanged
+      await chrome.storage.local.set({
+        powerModel: { ...settings, profile: id, coefficients: {}, customProfiles }
+      });
+
+      this.powerModelSettings = { ...settings, customProfiles };
+      this.setStatus(`Saved and selected "${label}"`);
+    } catch (error) {
+      console.error('Error saving calibrated profile:', error);
+      this.setStatus('Could not save the profile', true);
+    }
+  }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  try {
+    new CalibrationController();
+  } catch (error) {
+    console.error('Failed to initialize calibration page:', error);
+  }
+});
@@ -0,0 +1,312 @@
+#!/usr/bin/env node
+// Estimates network energy and CO2 for the pages in HAR files, with the extension's own models.
+// The lib/ scripts are classic browser scripts, so they run here in one vm context, the same
+// way the service worker loads them with importScripts().
+//
+//   node cli/har-emissions.js [options] <file.har>...
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..');
+const LIB_SCRIPTS = [
+  'lib/co2.js',
+  'lib/power-model.js',
+  'lib/carbon-intensity.js',
+  'lib/co2-hosting-json.js',
+  'lib/green-hosting.js',
+  'lib/settings.js'
+];
+
+const USAGE = `Usage: node cli/har-emissions.js [options] <file.har>...
+
+Options:
+  --json                  Print JSON instead of tables
+  --profile <id>          Power profile: thin-laptop (default), desktop or mobile-class
+  --intensity <g/kWh>     Grid intensity for network energy and transfer CO2
+                          (default 475 for network energy; transfer uses the
+                          CO2.js global average)
+  --region <code>         Use the CO2.js average intensity of a region, e.g. DEU
+  --green-domains <file>  Green Web Foundation dataset to check domains against;
+                          without one, green hosting is not checked
+  --help                  Show this help
+`;
+
+function loadExtensionLibs() {
+  const context = vm.createContext({ console });
+
+  for (const script of LIB_SCRIPTS) {
+    const file = path.join(ROOT, script);
+    vm.runInContext(fs.readFileSync(file, 'utf8'), context, { filename: file });
+  }
+
+  // Top-level consts live in the context's lexical scope, so read them from inside it
+  return vm.runInContext(`({
+    CO2JS_VERSION,
+    DEFAULT_CO2_INTENSITY,
+    POWER_PROFILES,
+    NETWORK_WINDOW_MS,
+    resolvePowerModel,
+    requestNetworkEnergy,
+    TRANSFER_MODEL_LABEL,
+    createTransferModel,
+    estimateTransferCO2e,
+    gridIntensityFor,
+    isValidIntensity,
+    parseGreenDomains,
+    lookUpGreenDomain
+  })`, context);
+}
+
+function parseArgs(argv, lib) {
+  const options = {
+    json: false,
+    profile: 'thin-laptop',
+    intensity: lib.DEFAULT_CO2_INTENSITY, // gCO2e/kWh
+    region: null,
+    transferIntensity: null, // gCO2e/kWh; null keeps the transfer model's global average
+    greenDomains: null,
+    files: []
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const value = () => {
+      if (i + 1 >= argv.length) throw new Error(`${arg} needs a value`);
+      return argv[++i];
+    };
+
+    switch (arg) {
+      case '--help':
+        options.help = true;
+        break;
+      case '--json':
+        options.json = true;
+        break;
+      case '--profile':
+        options.profile = value();
+        if (!lib.POWER_PROFILES[options.profile]) {
+          throw new Error(`Unknown profile ${options.profile}; use ${Object.keys(lib.POWER_PROFILES).join(', ')}`);
+        }
+        break;
+      case '--intensity':
+        options.intensity = Number(value());
+        if (!lib.isValidIntensity(options.intensity)) {
+          throw new Error('--intensity must be a number of gCO2e/kWh from 0 to 2000');
+        }
+        options.transferIntensity = options.intensity;
+        break;
+      case '--region': {
+        const source = lib.gridIntensityFor(value().toUpperCase(), 'average');
+        if (!source) throw new Error(`CO2.js has no average intensity for ${argv[i]}`);
+        options.region = source.region;
+        options.intensity = source.intensity;
+        options.transferIntensity = source.intensity;
+        break;
+      }
+      case '--green-domains':
+        options.greenDomains = value();
+        break;
+      default:
+        if (arg.startsWith('--')) throw new Error(`Unknown option ${arg}`);
+        options.files.push(arg);
+    }
+  }
+
+  return options;
+}
+
+// Bytes on the wire: Chrome's _transferSize, else headers plus body as recorded
+function entryTransferBytes(entry) {
+  const response = entry.response || {};
+  if (typeof response._transferSize === 'number' && response._transferSize >= 0) {
+    return response._transferSize;
+  }
+  return Math.max(0, response.headersSize || 0) + Math.max(0, response.bodySize || 0);
+}
+
+function entryDomain(entry) {
+  try {
+    return new URL(entry.request.url).hostname || '(unknown)';
+  } catch (error) {
+    return '(unknown)';
+  }
+}
+
+function createTotals(fields) {
+  return { ...fields, requests: 0, transferBytes: 0, networkEnergy: 0, networkCO2e: 0, transferCO2e: 0, co2e: 0 };
+}
+
+function addEntry(totals, cost) {
+  totals.requests++;
+  totals.transferBytes += cost.transferBytes;
+  totals.networkEnergy += cost.networkEnergy;
+  totals.networkCO2e += cost.networkCO2e;
+  totals.transferCO2e += cost.transferCO2e;
+  totals.co2e += cost.networkCO2e + cost.transferCO2e;
+}
+
+// Every request is charged the network term for its full window, as the extension does for a
+// page that stays open for a minute after it loads
+function analyzeHar(files, options, lib) {
+  const model = lib.resolvePowerModel({ profile: options.profile });
+  const energyPerRequest = lib.requestNetworkEnergy(model.coefficients); // Wh
+  const transferModel = lib.createTransferModel();
+  const greenDomains = options.greenDomains
+    ? lib.parseGreenDomains(fs.readFileSync(options.greenDomains, 'utf8'))
+    : [];
+  if (options.greenDomains && greenDomains.length === 0) {
+    throw new Error(`${options.greenDomains} lists no green domains`);
+  }
+  const greenByDomain = new Map(); // Each lookup scans the whole list, so do it once per domain
+
+  const pages = [];
+  const domains = new Map();
+
+  for (const file of files) {
+    let har;
+    try {
+      har = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      throw new Error(`${file}: ${error.message}`);
+    }
+    if (!har.log || !Array.isArray(har.log.entries)) {
+      throw new Error(`${file} is not a HAR file (no log.entries)`);
+    }
+
+    const filePages = new Map();
+    for (const page of har.log.pages || []) {
+      filePages.set(page.id, createTotals({ file, page: page.title || page.id, startedDateTime: page.startedDateTime }));
+    }
+
+    for (const entry of har.log.entries) {
+      const domain = entryDomain(entry);
+      if (!greenByDomain.has(domain)) {
+        greenByDomain.set(domain, lib.lookUpGreenDomain(greenDomains, domain));
+      }
+      const green = greenByDomain.get(domain);
+      const transferBytes = entryTransferBytes(entry);
+      const cost = {
+        transferBytes,
+        networkEnergy: energyPerRequest,
+        networkCO2e: energyPerRequest / 1000 * options.intensity,
+        transferCO2e: lib.estimateTransferCO2e(transferModel, transferBytes, green, options.transferIntensity)
+      };
+
+      const pageId = entry.pageref || '(no page)';
+      if (!filePages.has(pageId)) {
+        filePages.set(pageId, createTotals({ file, page: pageId, startedDateTime: entry.startedDateTime }));
+      }
+      addEntry(filePages.get(pageId), cost);
+
+      if (!domains.has(domain)) {
+        domains.set(domain, createTotals({ domain, green }));
+      }
+      addEntry(domains.get(domain), cost);
+    }
+
+    pages.push(...[...filePages.values()].filter(page => page.requests > 0));
+  }
+
+  return {
+    settings: {
+      powerModel: model,
+      networkWindowSeconds: lib.NETWORK_WINDOW_MS / 1000,
+      co2Intensity: options.intensity,
+      region: options.region,
+      transferModel: lib.TRANSFER_MODEL_LABEL,
+      transferIntensity: options.transferIntensity, // null: the transfer model's global average
+      co2jsVersion: lib.CO2JS_VERSION,
+      greenDomains: greenDomains.length || null // null: green hosting not checked
+    },
+    units: { energy: 'Wh', co2e: 'gCO2e', transferBytes: 'bytes', co2Intensity: 'gCO2e/kWh', transferIntensity: 'gCO2e/kWh' },
+    pages,
+    domains: [...domains.values()].sort((a, b) => b.co2e - a.co2e)
+  };
+}
+
+function formatEnergy(energy) {
+  if (energy >= 1) return `${energy.toFixed(3)} Wh`;
+  if (energy >= 0.001) return `${(energy * 1000).toFixed(2)} mWh`;
+  return `${(energy * 1000000).toFixed(0)} µWh`;
+}
+
+function formatCO2(co2e) {
+  if (co2e >= 1000) return `${(co2e / 1000).toFixed(2)} kg`;
+  if (co2e >= 1) return `${co2e.toFixed(2)} g`;
+  if (co2e >= 0.001) return `${(co2e * 1000).toFixed(1)} mg`;
+  return `${(co2e * 1000000).toFixed(0)} µg`;
+}
+
+function formatBytes(bytes) {
+  if (bytes >= 1e9) return `${(bytes / 1e9).toFixed(2)} GB`;
+  if (bytes >= 1e6) return `${(bytes / 1e6).toFixed(2)} MB`;
+  if (bytes >= 1e3) return `${(bytes / 1e3).toFixed(1)} kB`;
+  return `${Math.round(bytes)} B`;
+}
+
+// Left-aligned first column, right-aligned numbers
+function formatTable(header, rows) {
+  const widths = header.map((title, column) =>
+    Math.max(title.length, ...rows.map(row => String(row[column]).length)));
+  const line = row => row
+    .map((cell, column) => column === 0 ? String(cell).padEnd(widths[column]) : String(cell).padStart(widths[column]))
+    .join('  ');
+
+  return [line(header), widths.map(width => '-'.repeat(width)).join('  '), ...rows.map(line)].join('\n');
+}
+
+function formatReport(report) {
+  const costColumns = totals => [
+    totals.requests,
+    formatBytes(totals.transferBytes),
+    formatEnergy(totals.networkEnergy),
+    formatCO2(totals.networkCO2e),
+    formatCO2(totals.transferCO2e),
+    formatCO2(totals.co2e)
+  ];
+  const costHeader = ['Requests', 'Transfer', 'Network energy', 'Network CO₂', 'Transfer CO₂', 'Total CO₂'];
+  const multipleFiles = new Set(report.pages.map(page => page.file)).size > 1;
+  const { settings } = report;
+
+  return [
+    `Power model: ${settings.powerModel.label}; grid intensity: ${settings.co2Intensity} gCO₂e/kWh` +
+      `${settings.region ? ` (${settings.region})` : ''}; transfer: ${settings.transferModel} at ` +
+      `${settings.transferIntensity === null ? 'its global average intensity' : `${settings.transferIntensity} gCO₂e/kWh`}; ` +
+      `green hosting: ${settings.greenDomains ? `${settings.greenDomains} listed domain${settings.greenDomains === 1 ? '' : 's'}` : 'not checked'}`,
+    '',
+    'Pages',
+    formatTable(['Page', ...costHeader], report.pages.map(page => [
+      multipleFiles ? `${path.basename(page.file)}: ${page.page}` : page.page,
+      ...costColumns(page)
+    ])),
+    '',
+    'Domains',
+    formatTable(['Domain', ...costHeader], report.domains.map(domain => [
+      `${domain.domain}${domain.green ? ' (green)' : ''}`,
+      ...costColumns(domain)
+    ]))
+  ].join('\n');
+}
+
+function main(argv) {
+  const lib = loadExtensionLibs();
+  const options = parseArgs(argv, lib);
+
+  if (options.help || options.files.length === 0) {
+    process.stdout.write(USAGE);
+    return options.help ? 0 : 1;
+  }
+
+  const report = analyzeHar(options.files, options, lib);
+  process.stdout.write(options.json ? `${JSON.stringify(report, null, 2)}\n` : `${formatReport(report)}\n`);
+  return 0;
+}
+
+try {
+  process.exitCode = main(process.argv.slice(2));
+} catch (error) {
+  process.stderr.write(`har-emissions: ${error.message}\n`);
+  process.exitCode = 1;
+}
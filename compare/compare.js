@@ -0,0 +1,350 @@
+// Side-by-side comparison of saved and imported profiling sessions
+
+const SERIES_COLORS = [
+  'rgb(75, 192, 192)',
+  'rgb(255, 205, 86)',
+  'rgb(255, 99, 132)',
+  'rgb(153, 102, 255)',
+  'rgb(201, 203, 207)',
+  'rgb(255, 159, 64)'
+];
+
+class ComparisonChart {
+  constructor(svgId) {
+    this.svg = document.getElementById(svgId);
+    this.width = Number(this.svg.getAttribute('width'));
+    this.height = Number(this.svg.getAttribute('height'));
+    this.margin = { top: 10, right: 15, bottom: 25, left: 40 };
+  }
+
+  createElement(name, attributes) {
+    const element = document.createElementNS('http://www.w3.org/2000/svg', name);
+    for (const [key, value] of Object.entries(attributes)) {
+      element.setAttribute(key, value);
+    }
+    return element;
+  }
+
+  // Each series is { color, points: [{ x: seconds since session start, y: watts }] }
+  render(series) {
+    this.svg.innerHTML = '';
+
+    const chartWidth = this.width - this.margin.left - this.margin.right;
+    const chartHeight = this.height - this.margin.top - this.margin.bottom;
+    const group = this.createElement('g', {
+      transform: `translate(${this.margin.left}, ${this.margin.top})`
+    });
+    this.svg.appendChild(group);
+
+    const allPoints = series.flatMap(entry => entry.points);
+    if (allPoints.length < 2) {
+      const message = this.createElement('text', {
+        x: chartWidth / 2,
+        y: chartHeight / 2,
+        'text-anchor': 'middle',
+        fill: 'rgba(255, 255, 255, 0.5)',
+        'font-size': 12
+      });
+      message.textContent = 'Add sessions to compare their power over time';
+      group.appendChild(message);
+      return;
+    }
+
+    const maxX = Math.max(1, ...allPoints.map(point => point.x));
+    const maxY = Math.max(0.1, ...allPoints.map(point => point.y)) * 1.1;
+    const scaleX = x => (x / maxX) * chartWidth;
+    const scaleY = y => chartHeight - (y / maxY) * chartHeight;
+
+    group.appendChild(this.createElement('line', {
+      x1: 0, y1: chartHeight, x2: chartWidth, y2: chartHeight,
+      stroke: 'rgba(255, 255, 255, 0.3)'
+    }));
+
+    // Y-axis labels (0, 50%, 100%) and X-axis labels (start, middle, end)
+    for (let i = 0; i <= 2; i++) {
+      const yLabel = this.createElement('text', {
+        x: -5,
+        y: scaleY(maxY * i / 2),
+        'text-anchor': 'end',
+        'dominant-baseline': 'middle',
+        fill: 'rgba(255, 255, 255, 0.7)',
+        'font-size': 10
+      });
+      yLabel.textContent = `${(maxY * i / 2).toFixed(maxY < 1 ? 2 : 1)} W`;
+      group.appendChild(yLabel);
+
+      const xLabel = this.createElement('text', {
+        x: scaleX(maxX * i / 2),
+        y: chartHeight + 15,
+        'text-anchor': i === 0 ? 'start' : i === 2 ? 'end' : 'middle',
+        fill: 'rgba(255, 255, 255, 0.7)',
+        'font-size': 10
+      });
+      xLabel.textContent = formatDuration(maxX * i / 2);
+      group.appendChild(xLabel);
+    }
+
+    series.forEach(entry => {
+      if (entry.points.length < 2) return;
+
+      const path = entry.points
+        .map((point, index) => `${index === 0 ? 'M' : 'L'} ${scaleX(point.x)} ${scaleY(point.y)}`)
+        .join(' ');
+
+      group.appendChild(this.createElement('path', {
+        d: path,
+        fill: 'none',
+        stroke: entry.color,
+        'stroke-width': 1.5
+      }));
+    });
+  }
+}
+
+class CompareController {
+  constructor() {
+    this.sessions = []; // { label, data, summary, color }
+    this.chart = new ComparisonChart('comparisonChart');
+    this.init();
+  }
+
+  async init() {
+    document.getElementById('addSaved').addEventListener('click', () => this.addSavedSessions());
+    document.getElementById('importFiles').addEventListener('change', (event) => this.importFiles(event));
+
+    this.render();
+    await this.loadSavedSessions();
+  }
+
+  sendMessage(message) {
+    return new Promise((resolve) => {
+      chrome.runtime.sendMessage(message, (response) => {
+        if (chrome.runtime.lastError) {
+          console.log('Message send error for action', message.action, ':', chrome.runtime.lastError.message);
+          resolve(null);
+        } else {
+          resolve(response);
+        }
+      });
+    });
+  }
+
+  setStatus(text, isError = false) {
+    const status = document.getElementById('status');
+    status.textContent = text;
+    status.classList.toggle('error', isError);
+  }
+
+  async loadSavedSessions() {
+    const response = await this.sendMessage({ action: 'listSessions' });
+    const select = document.getElementById('savedSessions');
+    select.innerHTML = '';
+
+    if (!response || !response.success) {
+      this.setStatus('Could not load saved sessions', true);
+      return;
+    }
+
+    response.sessions.forEach(session => {
+      const option = document.createElement('option');
+      option.value = session.id;
+      option.textContent = `${new Date(session.startTime).toLocaleString()} · ` +
+        `${formatDuration(session.summary.duration)} · ${formatEnergy(session.summary.totalEnergy)}` +
+        (session.endTime ? '' : ' (active)');
+      select.appendChild(option);
+    });
+  }
+
+  async addSavedSessions() {
+    const select = document.getElementById('savedSessions');
+    const selected = [...select.selectedOptions];
+
+    for (const option of selected) {
+      const response = await this.sendMessage({ action: 'exportSession', sessionId: option.value });
+      if (response && response.success) {
+        this.addSession(option.textContent, response.data);
+      } else {
+        this.setStatus(`Could not load ${option.textContent}`, true);
+      }
+    }
+  }
+
+  async importFiles(event) {
+    for (const file of event.target.files) {
+      try {
+        const data = parseSessionFile(await file.text(), file.name);
+        this.addSession(file.name, data);
+      } catch (error) {
+        console.error('Error importing session file:', error);
+        this.setStatus(error.message, true);
+      }
+    }
+
+    event.target.value = '';
+  }
+
+  addSession(label, data) {
+    const samples = data.samples || [];
+
+    this.sessions.push({
+      label,
+      data,
+      // Same maths as the service worker's getSummary()
+      summary: summarizeSamples(samples),
+      color: SERIES_COLORS[this.sessions.length % SERIES_COLORS.length]
+    });
+
+    this.setStatus(`${this.sessions.length} session${this.sessions.length === 1 ? '' : 's'} loaded`);
+    this.render();
+  }
+
+  removeSession(index) {
+    this.sessions.splice(index, 1);
+    this.sessions.forEach((session, i) => {
+      session.color = SERIES_COLORS[i % SERIES_COLORS.length];
+    });
+    this.render();
+  }
+
+  render() {
+    this.renderChart();
+    this.renderLegend();
+    this.renderTable();
+  }
+
+  renderChart() {
+    // Align every session on time since its own first sample
+    const series = this.sessions.map(session => {
+      const samples = (session.data.samples || []).filter(isValidSample);
+      const start = samples.length > 0 ? samples[0].timestamp : 0;
+
+      return {
+        color: session.color,
+        points: samples.map(sample => ({
+          x: (sample.timestamp - start) / 1000,
+          y: clampPower(sample.power)
+        }))
+      };
+    });
+
+    this.chart.render(series);
+  }
+
+  renderLegend() {
+    const legend = document.getElementById('legend');
+    legend.innerHTML = '';
+
+    this.sessions.forEach(session => {
+      const item = document.createElement('span');
+      const swatch = document.createElement('span');
+      swatch.className = 'legend-swatch';
+      swatch.style.background = session.color;
+      item.appendChild(swatch);
+      item.appendChild(document.createTextNode(session.label));
+      legend.appendChild(item);
+    });
+  }
+
+  renderTable() {
+    const tbody = document.getElementById('comparisonRows');
+    tbody.innerHTML = '';
+
+    if (this.sessions.length === 0) {
+      tbody.innerHTML = '<tr class="empty"><td colspan="7">No sessions added yet</td></tr>';
+      return;
+    }
+
+    const baseline = this.sessions[0].summary;
+    const columns = [
+      { key: 'totalEnergy', format: formatEnergy },
+      { key: 'totalCO2e', format: formatCO2 },
+      { key: 'effectiveCO2Intensity', format: formatIntensity },
+      { key: 'avgPower', format: formatPower },
+      { key: 'duration', format: formatDuration }
+    ];
+
+    this.sessions.forEach((session, index) => {
+      const row = document.createElement('tr');
+
+      const labelCell = document.createElement('td');
+      const swatch = document.createElement('span');
+      swatch.className = 'legend-swatch';
+      swatch.style.background = session.color;
+      labelCell.appendChild(swatch);
+      labelCell.appendChild(document.createTextNode(session.label));
+      row.appendChild(labelCell);
+
+      columns.forEach(({ key, format }) => {
+        const cell = document.createElement('td');
+        const value = session.summary[key];
+        cell.textContent = value === null ? '--' : format(value);
+
+        if (index > 0 && value !== null && baseline[key] !== null) {
+          const delta = document.createElement('span');
+          const difference = session.summary[key] - baseline[key];
+          const percent = baseline[key] > 0 ? (difference / baseline[key]) * 100 : null;
+
+          delta.className = 'delta';
+          // Less energy, CO2, intensity and power is better; duration is neutral
+          if (key !== 'duration' && difference !== 0) {
+            delta.classList.add(difference < 0 ? 'better' : 'worse');
+          }
+          delta.textContent = `${difference >= 0 ? '+' : '−'}${format(Math.abs(difference))}` +
+            (percent === null ? '' : ` (${percent >= 0 ? '+' : ''}${percent.toFixed(1)}%)`);
+          cell.appendChild(delta);
+        }
+
+        row.appendChild(cell);
+      });
+
+      const actionCell = document.createElement('td');
+      const removeButton = document.createElement('button');
+      removeButton.className = 'btn btn-link';
+      removeButton.textContent = '✕';
+      removeButton.title = 'Remove from comparison';
+      removeButton.addEventListener('click', () => this.removeSession(index));
+      actionCell.appendChild(removeButton);
+      row.appendChild(actionCell);
+
+      tbody.appendChild(row);
+    });
+  }
+}
+
+function formatPower(power) {
+  if (power >= 1) return `${power.toFixed(3)} W`;
+  if (power >= 0.001) return `${(power * 1000).toFixed(2)} mW`;
+  return `${(power * 1000000).toFixed(0)} µW`;
+}
+
+function formatEnergy(energy) {
+  if (energy >= 1000) return `${(energy / 1000).toFixed(3)} kWh`;
+  if (energy >= 1) return `${energy.toFixed(3)} Wh`;
+  if (energy >= 0.001) return `${(energy * 1000).toFixed(2)} mWh`;
+  return `${(energy * 1000000).toFixed(0)} µWh`;
+}
+
+function formatCO2(co2e) {
+  if (co2e >= 1000) return `${(co2e / 1000).toFixed(2)} kgCO₂e`;
+  if (co2e >= 1) return `${co2e.toFixed(2)} gCO₂e`;
+  if (co2e >= 0.001) return `${(co2e * 1000).toFixed(2)} mgCO₂e`;
+  return `${(co2e * 1000000).toFixed(0)} µgCO₂e`;
+}
+
+function formatIntensity(intensity) {
+  return `${intensity.toFixed(0)} g/kWh`;
+}
+
+function formatDuration(seconds) {
+  if (seconds >= 3600) return `${Math.floor(seconds / 3600)}h ${Math.round((seconds % 3600) / 60)}m`;
+  if (seconds >= 60) return `${Math.floor(seconds / 60)}m ${Math.round(seconds % 60)}s`;
+  return `${seconds.toFixed(0)}s`;
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  try {
+    new CompareController();
+  } catch (error) {
+    console.error('Failed to initialize comparison page:', error);
+  }
+});
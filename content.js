@@ -1,5 +1,9 @@
 // Content script for Chrome Power Profiler
 
+// window.postMessage tags for the page-world API in page-api.js, which uses the same values
+const PAGE_API_SOURCE = 'emissions-profiler-page';
+const EXTENSION_SOURCE = 'emissions-profiler-extension';
+
 class PagePowerMonitor {
   constructor() {
     this.metrics = {
@@ -10,15 +14,27 @@ class PagePowerMonitor {
     };
     
     this.observers = [];
+    this.transferBytes = 0; // Bytes received over the network since the page loaded
+    this.originTotals = {}; // Origin -> { requests, transferBytes } since the page loaded
+    this.typeTotals = {}; // Resource type -> { requests, transferBytes, decodedBytes } since the page loaded
+    this.maxOrigins = 500;
+    this.pendingUserTimings = []; // performance.mark()/measure() entries not yet sent
+    this.maxPendingUserTimings = 200;
     this.isConnected = true;
     this.pendingMetrics = [];
     this.maxPendingMetrics = 10;
     this.reconnectionAttempts = 0;
     this.maxReconnectionAttempts = 5;
+    this.powerModel = resolvePowerModel();
+    this.privacy = normalizePrivacySettings();
+    this.pageApi = normalizePageApiSettings();
+    this.sampleSubscribed = false; // Page code subscribed to per-sample updates
     this.init();
   }
 
   init() {
+    this.settingsLoaded = this.loadSettings();
+    
     // Start monitoring regardless of connection status
     this.startMonitoring();
     
@@ -34,6 +50,9 @@ class PagePowerMonitor {
     
     // Listen for messages from background
     this.setupMessageListener();
+    
+    // Answer window.__chromePowerProfiler calls from page scripts
+    this.setupPageBridge();
   }
 
   startMonitoring() {
@@ -41,10 +60,13 @@ class PagePowerMonitor {
       // Monitor resource loading
       this.setupResourceObserver();
       
+      // Pick up the page's own performance.mark()/measure() calls
+      this.setupUserTimingObserver();
+      
       // Monitor memory usage
       this.setupMemoryMonitor();
       
-      // Monitor CPU usage via requestAnimationFrame
+      // Monitor main-thread busy time as a CPU proxy
       this.setupCPUMonitor();
       
       // Send periodic updates to background
@@ -79,6 +101,16 @@ class PagePowerMonitor {
       this.memoryInterval = null;
     }
     
+    if (this.cpuInterval) {
+      clearInterval(this.cpuInterval);
+      this.cpuInterval = null;
+    }
+    
+    if (this.idleCallbackId) {
+      cancelIdleCallback(this.idleCallbackId);
+      this.idleCallbackId = null;
+    }
+    
     this.observers.forEach(observer => {
       try {
         observer.disconnect();
@@ -130,11 +162,22 @@ class PagePowerMonitor {
             this.metrics.network.push({
               name: entry.name,
               type: entry.entryType,
+              initiatorType: entry.initiatorType || entry.entryType,
               size: entry.decodedBodySize || entry.transferSize || 0,
+              transferSize: entry.transferSize || 0,
+              encodedBodySize: entry.encodedBodySize || 0,
+              decodedBodySize: entry.decodedBodySize || 0,
               duration: entry.duration,
               startTime: entry.startTime
             });
             
+            // transferSize is 0 for cache hits and opaque cross-origin responses
+            this.transferBytes += entry.transferSize || 0;
+            this.countOrigin(entry);
+            if (entry.entryType !== 'paint') {
+              addResourceToTotals(this.typeTotals, classifyResource(entry), entry);
+            }
+            
             // Keep network metrics list from growing too large
             if (this.metrics.network.length > 1000) {
               this.metrics.network.shift();
@@ -145,24 +188,80 @@ class PagePowerMonitor {
         }
       });
       
-      try {
-        observer.observe({ entryTypes: ['resource', 'navigation', 'paint'] });
-        this.observers.push(observer);
-      } catch (error) {
-        console.error('Failed to observe performance entries:', error);
-        // Try with a safer approach
+      // Content scripts start at document_idle, so buffered: true replays the initial load.
+      // entryTypes cannot be combined with buffered, so each type is observed on its own.
+      let observing = false;
+      for (const type of ['resource', 'navigation', 'paint']) {
         try {
-          observer.observe({ entryTypes: ['resource'] });
-          this.observers.push(observer);
-        } catch (e) {
-          console.error('Failed to observe even with reduced entry types:', e);
+          observer.observe({ type, buffered: true });
+          observing = true;
+        } catch (error) {
+          console.error(`Failed to observe ${type} entries:`, error);
         }
       }
+      if (observing) {
+        this.observers.push(observer);
+      }
     } catch (error) {
       console.error('Failed to setup resource observer:', error);
     }
   }
 
+  // Running per-origin totals for the first/third-party breakdown; unlike the network
+  // list these are never trimmed, though origins past maxOrigins are not counted
+  countOrigin(entry) {
+    if (entry.entryType === 'paint') return;
+    
+    let origin;
+    try {
+      origin = new URL(entry.name).origin;
+    } catch (error) {
+      return;
+    }
+    if (origin === 'null') return;
+    
+    if (!this.originTotals[origin]) {
+      if (Object.keys(this.originTotals).length >= this.maxOrigins) return;
+      this.originTotals[origin] = { requests: 0, transferBytes: 0 };
+    }
+    this.originTotals[origin].requests++;
+    this.originTotals[origin].transferBytes += entry.transferSize || 0;
+  }
+
+  setupUserTimingObserver() {
+    if (!window.PerformanceObserver) return;
+    
+    const supported = PerformanceObserver.supportedEntryTypes || [];
+    
+    for (const entryType of ['mark', 'measure']) {
+      if (!supported.includes(entryType)) continue;
+      
+      try {
+        const observer = new PerformanceObserver((list) => {
+          list.getEntries().forEach(entry => {
+            // Wall-clock times so the background can line them up with its samples
+            this.pendingUserTimings.push({
+              entryType: entry.entryType,
+              name: entry.name,
+              startTime: performance.timeOrigin + entry.startTime,
+              duration: entry.duration
+            });
+          });
+          
+          if (this.pendingUserTimings.length > this.maxPendingUserTimings) {
+            this.pendingUserTimings.splice(0, this.pendingUserTimings.length - this.maxPendingUserTimings);
+          }
+        });
+        
+        // Buffered entries cover marks made before this script loaded
+        observer.observe({ type: entryType, buffered: true });
+        this.observers.push(observer);
+      } catch (error) {
+        console.error(`Failed to observe ${entryType} entries:`, error);
+      }
+    }
+  }
+
   setupMemoryMonitor() {
     try {
       if (performance && performance.memory) {
@@ -190,53 +289,98 @@ class PagePowerMonitor {
 
   setupCPUMonitor() {
     try {
-      let lastFrameTime = performance.now();
-      let frameCount = 0;
+      // Main-thread time accumulated since the last CPU sample (ms)
+      this.busyTime = { longTask: 0, animationFrame: 0, idle: 0, idleCallbacks: 0 };
+      
+      this.observeMainThreadBusy();
+      this.startIdleProbe();
       
-      const measureCPU = () => {
+      let windowStart = performance.now();
+      
+      this.cpuInterval = setInterval(() => {
         try {
           const now = performance.now();
-          frameCount++;
+          const elapsed = now - windowStart;
+          if (elapsed <= 0) return;
           
-          if (now - lastFrameTime >= 1000) {
-            const fps = frameCount;
-            const cpuEstimate = Math.min(100, fps / 60 * 100);
-            
-            this.metrics.cpu.push({
-              timestamp: Date.now(),
-              estimate: cpuEstimate,
-              fps: fps
-            });
-            
-            // Keep CPU metrics list from growing too large
-            if (this.metrics.cpu.length > 100) {
-              this.metrics.cpu.shift();
-            }
-            
-            frameCount = 0;
-            lastFrameTime = now;
+          // Long tasks and long animation frames overlap, so take the larger one
+          const blockedTime = Math.max(this.busyTime.longTask, this.busyTime.animationFrame);
+          let estimate = blockedTime / elapsed * 100;
+          
+          // Idle callbacks catch the short tasks the observers miss. Background tabs
+          // throttle them, so only trust the probe when it actually ran.
+          if (this.busyTime.idleCallbacks > 0 && !document.hidden) {
+            const idleBusy = (1 - this.busyTime.idle / elapsed) * 100;
+            estimate = Math.max(estimate, idleBusy);
           }
           
-          requestAnimationFrame(measureCPU);
+          this.metrics.cpu.push({
+            timestamp: Date.now(),
+            estimate: Math.max(0, Math.min(100, estimate)),
+            blockedTime: blockedTime,
+            idleTime: this.busyTime.idle
+          });
+          
+          // Keep CPU metrics list from growing too large
+          if (this.metrics.cpu.length > 100) {
+            this.metrics.cpu.shift();
+          }
+          
+          this.busyTime = { longTask: 0, animationFrame: 0, idle: 0, idleCallbacks: 0 };
+          windowStart = now;
         } catch (error) {
           console.error('CPU monitoring error:', error);
-          // Try to continue monitoring after error
-          setTimeout(() => {
-            try {
-              requestAnimationFrame(measureCPU);
-            } catch (e) {
-              console.error('Failed to restart CPU monitoring:', e);
-            }
-          }, 100);
         }
-      };
-      
-      requestAnimationFrame(measureCPU);
+      }, 1000);
     } catch (error) {
       console.error('Failed to setup CPU monitor:', error);
     }
   }
 
+  observeMainThreadBusy() {
+    if (!window.PerformanceObserver) return;
+    
+    const supported = PerformanceObserver.supportedEntryTypes || [];
+    
+    const entryTypes = {
+      'longtask': 'longTask',
+      'long-animation-frame': 'animationFrame'
+    };
+    
+    for (const [entryType, bucket] of Object.entries(entryTypes)) {
+      if (!supported.includes(entryType)) continue;
+      
+      try {
+        const observer = new PerformanceObserver((list) => {
+          list.getEntries().forEach(entry => {
+            this.busyTime[bucket] += entry.duration;
+          });
+        });
+        
+        observer.observe({ type: entryType, buffered: false });
+        this.observers.push(observer);
+      } catch (error) {
+        console.error(`Failed to observe ${entryType} entries:`, error);
+      }
+    }
+  }
+
+  startIdleProbe() {
+    if (!window.requestIdleCallback) return;
+    
+    const probe = (deadline) => {
+      // Idle time handed to us is time the main thread had nothing to do
+      if (!deadline.didTimeout) {
+        this.busyTime.idle += deadline.timeRemaining();
+        this.busyTime.idleCallbacks++;
+      }
+      
+      this.idleCallbackId = requestIdleCallback(probe, { timeout: 1000 });
+    };
+    
+    this.idleCallbackId = requestIdleCallback(probe, { timeout: 1000 });
+  }
+
   collectMetrics() {
     try {
       const cpu = this.getCurrentCPU();
@@ -252,9 +396,11 @@ class PagePowerMonitor {
         cpu: cpu,
         memory: memory,
         network: network.length, // Send count instead of full array
+        transferBytes: this.transferBytes, // Running total; background takes the delta
+        resourceTypes: this.typeTotals,
         timings: timings,
         power: powerEstimate, // Add power estimate
-        url: window.location.href,
+        url: this.pageUrl(),
         domain: window.location.hostname
       };
       
@@ -267,43 +413,156 @@ class PagePowerMonitor {
         cpu: 0,
         memory: 0,
         network: 0,
+        transferBytes: this.transferBytes || 0,
         timings: { loadTime: 0, domReady: 0, interactive: 0 },
         power: 0,
-        url: window.location.href || 'unknown',
+        url: this.pageUrl() || 'unknown',
         domain: window.location.hostname || 'unknown'
       };
     }
   }
 
+  // Everything lib/recommendations.js looks at, for the report page
+  collectPageProfile() {
+    const metrics = this.collectMetrics();
+    const images = Array.from(document.images)
+      .filter(image => image.complete && image.naturalWidth > 0 && image.currentSrc)
+      .slice(0, 200)
+      .map(image => ({
+        src: image.currentSrc,
+        naturalWidth: image.naturalWidth,
+        naturalHeight: image.naturalHeight,
+        displayWidth: image.clientWidth,
+        displayHeight: image.clientHeight
+      }));
+
+    return {
+      url: metrics.url,
+      domain: metrics.domain,
+      now: performance.now(),
+      resources: this.metrics.network.filter(entry => entry.type !== 'paint'),
+      origins: this.originTotals,
+      memory: this.metrics.memory.slice(),
+      cpu: metrics.cpu,
+      timings: metrics.timings,
+      power: metrics.power,
+      devicePixelRatio: window.devicePixelRatio || 1,
+      images
+    };
+  }
+
   calculatePowerEstimate(cpu, memory, network) {
     try {
-      // Base power for idle browser tab (in watts)
-      const BASE_POWER = 0.5;
-      
-      // Power per CPU percentage (scaled estimate)
-      const CPU_POWER_FACTOR = 0.02;
-      
-      // Power per MB of memory
-      const MEMORY_POWER_FACTOR = 0.001;
-      
-      // Power per network request
-      const NETWORK_POWER_FACTOR = 0.005;
-      
-      // Calculate power estimate
-      const cpuPower = (cpu || 0) * CPU_POWER_FACTOR;
-      const memoryPower = (memory || 0) * MEMORY_POWER_FACTOR;
-      const networkPower = (network.length || 0) * NETWORK_POWER_FACTOR;
-      
-      const totalPower = BASE_POWER + cpuPower + memoryPower + networkPower;
+      // Same per-tab terms the background uses (lib/power-model.js)
+      const power = estimateTabPower({
+        cpu: cpu || 0,
+        memory: memory || 0,
+        network: network.length || 0
+      }, this.powerModel.coefficients);
       
       // Return power in watts
-      return Math.max(0.1, Math.min(10, totalPower)); // Clamp between 0.1W and 10W
+      return clampPower(power);
     } catch (error) {
       console.error('Error calculating power estimate:', error);
       return 0.5; // Default power estimate
     }
   }
 
+  // Resolves once the stored settings are applied, or the defaults kept if they can't be read
+  loadSettings() {
+    try {
+      const loaded = new Promise((resolve) => {
+        chrome.storage.local.get(['powerModel', 'privacy', 'pageApi'], (data) => {
+          if (!chrome.runtime.lastError) {
+            this.powerModel = resolvePowerModel(data.powerModel);
+            this.privacy = normalizePrivacySettings(data.privacy);
+            this.pageApi = normalizePageApiSettings(data.pageApi);
+          }
+          resolve();
+        });
+      });
+      
+      chrome.storage.onChanged.addListener((changes, areaName) => {
+        if (areaName === 'local' && changes.powerModel) {
+          this.powerModel = resolvePowerModel(changes.powerModel.newValue);
+        }
+        
+        if (areaName === 'local' && changes.privacy) {
+          this.privacy = normalizePrivacySettings(changes.privacy.newValue);
+        }
+        
+        if (areaName === 'local' && changes.pageApi) {
+          this.pageApi = normalizePageApiSettings(changes.pageApi.newValue);
+        }
+      });
+      
+      return loaded;
+    } catch (error) {
+      console.error('Failed to load profiler settings:', error);
+      return Promise.resolve();
+    }
+  }
+
+  setupPageBridge() {
+    window.addEventListener('message', (event) => {
+      const data = event.data;
+      if (event.source !== window || !data || data.source !== PAGE_API_SOURCE) return;
+      
+      this.handlePageRequest(data.method)
+        .then(result => this.postToPage({ id: data.id, result }))
+        .catch(error => this.postToPage({ id: data.id, error: error.message }));
+    });
+    
+    // page-api.js holds calls made before this script attached; release them only once the
+    // pageApi setting is known, or they would all be checked against the default (off)
+    this.settingsLoaded.then(() => this.postToPage({ type: 'ready' }));
+  }
+
+  postToPage(message) {
+    window.postMessage({ source: EXTENSION_SOURCE, ...message }, '*');
+  }
+
+  async handlePageRequest(method) {
+    await this.settingsLoaded;
+    if (!pageApiAllowed(this.pageApi, window.location.origin)) {
+      throw new Error('The page API is turned off for this site in the Emissions Profiler settings');
+    }
+    
+    switch (method) {
+      case 'getMetrics':
+        return this.collectMetrics();
+        
+      case 'isConnected':
+        return this.isConnected;
+        
+      case 'subscribe':
+      case 'unsubscribe':
+        this.sampleSubscribed = method === 'subscribe';
+        return this.sampleSubscribed;
+        
+      case 'startProfiling':
+      case 'stopProfiling':
+      case 'getSummary': {
+        const response = await this.sendMessageWithTimeout({ action: 'pageApi', method }, 5000);
+        if (!response) {
+          throw new Error('Emissions Profiler is not connected');
+        }
+        if (!response.success) {
+          throw new Error(response.error);
+        }
+        return response.result;
+      }
+        
+      default:
+        throw new Error(`Unknown method: ${method}`);
+    }
+  }
+
+  // Only the origin leaves the page when full URLs are not to be kept
+  pageUrl() {
+    return this.privacy.storeFullUrls ? window.location.href : redactUrl(window.location.href);
+  }
+
   async collectAndSendMetrics() {
     try {
       // Collect metrics first
@@ -322,6 +581,8 @@ class PagePowerMonitor {
       }
       
       // Send metrics
+      metrics.subscribed = this.sampleSubscribed;
+      metrics.userTimings = this.pendingUserTimings.splice(0);
       await this.sendMetrics(metrics);
       
     } catch (error) {
@@ -510,8 +771,7 @@ class PagePowerMonitor {
 
   getRecentNetwork() {
     try {
-      const oneMinuteAgo = Date.now() - 60000;
-      return this.metrics.network.filter(m => m.startTime > oneMinuteAgo);
+      return recentNetworkEntries(this.metrics.network, performance.now());
     } catch (error) {
       return [];
     }
@@ -546,11 +806,23 @@ class PagePowerMonitor {
         return true;
       }
       
+      if (request.action === 'getPageProfile') {
+        sendResponse({ success: true, profile: this.collectPageProfile() });
+        return true;
+      }
+      
       if (request.action === 'ping') {
         sendResponse({ alive: true });
         return true;
       }
       
+      if (request.action === 'profilerSample') {
+        if (this.sampleSubscribed) {
+          this.postToPage({ type: 'sample', sample: request.sample });
+        }
+        return false;
+      }
+      
       return false;
     } catch (error) {
       console.error('Error handling message:', error);
@@ -573,31 +845,16 @@ try {
     }
   });
   
-  // Expose API to the page (optional, with safety checks)
-  Object.defineProperty(window, '__chromePowerProfiler', {
-    value: {
-      getMetrics: () => pageMonitor ? pageMonitor.collectMetrics() : null,
-      startProfiling: () => pageMonitor ? pageMonitor.startMonitoring() : false,
-      stopProfiling: () => pageMonitor ? pageMonitor.stopMonitoring() : false,
-      isConnected: () => pageMonitor ? pageMonitor.isConnected : false
-    },
-    writable: false,
-    configurable: true
-  });
-  
   console.log('Chrome Power Profiler content script loaded successfully');
 } catch (error) {
   console.error('Failed to initialize Chrome Power Profiler:', error);
   
-  // Still expose a minimal API even if initialization fails
-  Object.defineProperty(window, '__chromePowerProfiler', {
-    value: {
-      getMetrics: () => ({ error: 'Monitor not initialized' }),
-      startProfiling: () => false,
-      stopProfiling: () => false,
-      isConnected: () => false
-    },
-    writable: false,
-    configurable: true
+  // Still answer the page API, so page calls fail instead of timing out
+  window.addEventListener('message', (event) => {
+    const data = event.data;
+    if (event.source !== window || !data || data.source !== PAGE_API_SOURCE) return;
+    
+    window.postMessage({ source: EXTENSION_SOURCE, id: data.id, error: 'Monitor not initialized' }, '*');
   });
+  window.postMessage({ source: EXTENSION_SOURCE, type: 'ready' }, '*');
 }
\ No newline at end of file
@@ -0,0 +1,402 @@
+// History dashboard: energy and CO2 per day, week and month from the stored day rollups
+
+const CHART_PERIODS = { day: 30, week: 26, month: 12 }; // Periods shown in the trend chart
+const HEAT_COLORS = ['rgba(255, 255, 255, 0.08)', '#9be9a8', '#40c463', '#30a14e', '#216e39'];
+const METRIC_LABELS = { energy: 'Energy', co2e: 'CO₂' };
+
+class TrendChart {
+  constructor(svgId) {
+    this.svg = document.getElementById(svgId);
+    this.width = Number(this.svg.getAttribute('width'));
+    this.height = Number(this.svg.getAttribute('height'));
+    this.margin = { top: 10, right: 15, bottom: 25, left: 70 };
+  }
+
+  createElement(name, attributes) {
+    const element = document.createElementNS('http://www.w3.org/2000/svg', name);
+    for (const [key, value] of Object.entries(attributes)) {
+      element.setAttribute(key, value);
+    }
+    return element;
+  }
+
+  // points are { label, value, title }; the dashed line is the least-squares trend
+  render(points, format) {
+    this.svg.innerHTML = '';
+
+    const chartWidth = this.width - this.margin.left - this.margin.right;
+    const chartHeight = this.height - this.margin.top - this.margin.bottom;
+    const group = this.createElement('g', {
+      transform: `translate(${this.margin.left}, ${this.margin.top})`
+    });
+    this.svg.appendChild(group);
+
+    if (points.length < 2) {
+      const message = this.createElement('text', {
+        x: chartWidth / 2,
+        y: chartHeight / 2,
+        'text-anchor': 'middle',
+        fill: 'rgba(255, 255, 255, 0.5)',
+        'font-size': 12
+      });
+      message.textContent = 'Profile on more than one day to see a trend';
+      group.appendChild(message);
+      return;
+    }
+
+    const maxY = Math.max(...points.map(point => point.value)) * 1.1 || 1;
+    const scaleX = index => (index / (points.length - 1)) * chartWidth;
+    const scaleY = value => chartHeight - (value / maxY) * chartHeight;
+
+    group.appendChild(this.createElement('line', {
+      x1: 0, y1: chartHeight, x2: chartWidth, y2: chartHeight,
+      stroke: 'rgba(255, 255, 255, 0.3)'
+    }));
+
+    for (let i = 0; i <= 2; i++) {
+      const yLabel = this.createElement('text', {
+        x: -5,
+        y: scaleY(maxY * i / 2),
+        'text-anchor': 'end',
+        'dominant-baseline': 'middle',
+        fill: 'rgba(255, 255, 255, 0.7)',
+        'font-size': 10
+      });
+      yLabel.textContent = format(maxY * i / 2);
+      group.appendChild(yLabel);
+    }
+
+    [0, Math.floor((points.length - 1) / 2), points.length - 1].forEach(index => {
+      const xLabel = this.createElement('text', {
+        x: scaleX(index),
+        y: chartHeight + 15,
+        'text-anchor': 'middle',
+        fill: 'rgba(255, 255, 255, 0.7)',
+        'font-size': 10
+      });
+      xLabel.textContent = points[index].label;
+      group.appendChild(xLabel);
+    });
+
+    group.appendChild(this.createElement('path', {
+      d: points.map((point, index) =>
+        `${index === 0 ? 'M' : 'L'} ${scaleX(index)} ${scaleY(point.value)}`).join(' '),
+      fill: 'none',
+      stroke: '#4CAF50',
+      'stroke-width': 2
+    }));
+
+    points.forEach((point, index) => {
+      const dot = this.createElement('circle', {
+        cx: scaleX(index),
+        cy: scaleY(point.value),
+        r: 3,
+        fill: '#4CAF50'
+      });
+      const title = this.createElement('title', {});
+      title.textContent = `${point.title}: ${format(point.value)}`;
+      dot.appendChild(title);
+      group.appendChild(dot);
+    });
+
+    const trend = linearTrend(points.map(point => point.value));
+    if (trend) {
+      const last = points.length - 1;
+      group.appendChild(this.createElement('line', {
+        x1: scaleX(0),
+        y1: scaleY(Math.max(0, trend.intercept)),
+        x2: scaleX(last),
+        y2: scaleY(Math.max(0, trend.intercept + trend.slope * last)),
+        stroke: 'rgba(255, 255, 255, 0.6)',
+        'stroke-dasharray': '6 4'
+      }));
+    }
+  }
+}
+
+class HistoryController {
+  constructor() {
+    this.days = {};
+    this.chart = new TrendChart('trendChart');
+    this.init();
+  }
+
+  async init() {
+    const periodSelect = document.getElementById('period');
+    for (const [id, label] of Object.entries(HISTORY_PERIODS)) {
+      const option = document.createElement('option');
+      option.value = id;
+      option.textContent = label;
+      periodSelect.appendChild(option);
+    }
+
+    periodSelect.addEventListener('change', () => this.render());
+    document.getElementById('metric').addEventListener('change', () => this.render());
+    document.getElementById('refresh').addEventListener('click', () => this.loadHistory());
+
+    await this.loadHistory();
+  }
+
+  sendMessage(message) {
+    return new Promise((resolve) => {
+      chrome.runtime.sendMessage(message, (response) => {
+        if (chrome.runtime.lastError) {
+          console.log('Message send error for action', message.action, ':', chrome.runtime.lastError.message);
+          resolve(null);
+        } else {
+          resolve(response);
+        }
+      });
+    });
+  }
+
+  setStatus(text, isError = false) {
+    const status = document.getElementById('status');
+    status.textContent = text;
+    status.classList.toggle('error', isError);
+  }
+
+  async loadHistory() {
+    this.setStatus('Loading…');
+    // Day-tier rollups outlive the sessions and raw samples they were made from
+    const [totals, domains] = await Promise.all([
+      this.sendMessage({ action: 'queryRollups', query: { tier: 'day', groupBy: 'bucket' } }),
+      this.sendMessage({ action: 'queryRollups', query: { tier: 'day' } })
+    ]);
+
+    if (!totals || !totals.success || !domains || !domains.success) {
+      this.setStatus('Could not load history', true);
+      return;
+    }
+
+    this.days = dailyTotalsFromRollups(totals.rows, domains.rows);
+    const dayCount = Object.keys(this.days).length;
+    this.setStatus(`${dayCount} day${dayCount === 1 ? '' : 's'} with data`);
+    this.render();
+  }
+
+  get period() {
+    return document.getElementById('period').value;
+  }
+
+  get metric() {
+    return document.getElementById('metric').value;
+  }
+
+  render() {
+    const periods = summarizeHistory(this.days, this.period);
+
+    this.renderCards(periods);
+    this.renderTrend(periods);
+    this.renderHeatMap();
+    this.renderTable(periods);
+  }
+
+  // This period against the one before it
+  renderCards(periods) {
+    const container = document.getElementById('cards');
+    container.innerHTML = '';
+
+    const currentKey = historyPeriodKey(localDateKey(Date.now()), this.period);
+    const index = periods.findIndex(entry => entry.key === currentKey);
+    const current = index === -1 ? null : periods[index];
+    const previous = index > 0 ? periods[index - 1] :
+      (index === -1 && periods.length > 0 ? periods[periods.length - 1] : null);
+    const noun = { day: 'Today', week: 'This week', month: 'This month' }[this.period];
+
+    for (const metric of ['energy', 'co2e']) {
+      const card = document.createElement('div');
+      card.className = 'card';
+
+      const label = document.createElement('div');
+      label.className = 'card-label';
+      label.textContent = `${noun} · ${METRIC_LABELS[metric]}`;
+
+      const value = document.createElement('div');
+      value.className = 'card-value';
+      value.textContent = formatMetric(current ? current[metric] : 0, metric);
+
+      const change = document.createElement('div');
+      change.className = 'card-change';
+      if (previous && previous[metric] > 0) {
+        const percent = ((current ? current[metric] : 0) - previous[metric]) / previous[metric] * 100;
+        change.textContent = `${percent >= 0 ? '+' : '−'}${Math.abs(percent).toFixed(0)}% vs ${periodLabel(previous.key, this.period)}`;
+        change.classList.add(percent <= 0 ? 'better' : 'worse');
+      } else {
+        change.textContent = 'Nothing to compare with yet';
+      }
+
+      card.appendChild(label);
+      card.appendChild(value);
+      card.appendChild(change);
+      container.appendChild(card);
+    }
+  }
+
+  renderTrend(periods) {
+    const recent = periods.slice(-CHART_PERIODS[this.period]);
+    document.getElementById('trendHint').textContent =
+      `(${METRIC_LABELS[this.metric]}, last ${recent.length} ${this.period === 'day' ? 'days' : this.period + 's'}; dashed line is the linear trend)`;
+
+    this.chart.render(recent.map(entry => ({
+      label: shortPeriodLabel(entry.key, this.period),
+      title: periodLabel(entry.key, this.period),
+      value: entry[this.metric]
+    })), value => formatMetric(value, this.metric));
+  }
+
+  // GitHub-style grid: one column per Monday-started week, one row per weekday
+  renderHeatMap() {
+    const svg = document.getElementById('heatMap');
+    svg.innerHTML = '';
+
+    const cell = 13;
+    const gap = 3;
+    const left = 30;
+    const top = 18;
+    const metric = this.metric;
+
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    const start = new Date(today);
+    start.setDate(today.getDate() - (today.getDay() + 6) % 7 - 52 * 7);
+
+    const values = Object.values(this.days)
+      .map(day => metric === 'energy' ? day.energy : day.co2e + day.transferCO2e)
+      .filter(value => value > 0)
+      .sort((a, b) => a - b);
+    const quantile = fraction => values[Math.min(values.length - 1, Math.floor(values.length * fraction))];
+    const thresholds = values.length > 0 ? [quantile(0.25), quantile(0.5), quantile(0.75)] : [];
+
+    const svgElement = (name, attributes) => this.chart.createElement(name, attributes);
+
+    ['Mon', 'Wed', 'Fri'].forEach((name, index) => {
+      const label = svgElement('text', {
+        x: 0,
+        y: top + (index * 2) * (cell + gap) + cell - 2,
+        fill: 'rgba(255, 255, 255, 0.7)',
+        'font-size': 10
+      });
+      label.textContent = name;
+      svg.appendChild(label);
+    });
+
+    let lastMonth = null;
+    for (let date = new Date(start), index = 0; date <= today; date.setDate(date.getDate() + 1), index++) {
+      const week = Math.floor(index / 7);
+      const row = index % 7;
+      const key = localDateKey(date.getTime());
+      const day = this.days[key];
+      const value = day ? (metric === 'energy' ? day.energy : day.co2e + day.transferCO2e) : 0;
+      const level = value > 0 ? 1 + thresholds.filter(threshold => value > threshold).length : 0;
+
+      if (row === 0 && date.getMonth() !== lastMonth) {
+        lastMonth = date.getMonth();
+        const month = svgElement('text', {
+          x: left + week * (cell + gap),
+          y: 10,
+          fill: 'rgba(255, 255, 255, 0.7)',
+          'font-size': 10
+        });
+        month.textContent = date.toLocaleDateString(undefined, { month: 'short' });
+        svg.appendChild(month);
+      }
+
+      const rect = svgElement('rect', {
+        x: left + week * (cell + gap),
+        y: top + row * (cell + gap),
+        width: cell,
+        height: cell,
+        rx: 2,
+        fill: HEAT_COLORS[level]
+      });
+      const title = svgElement('title', {});
+      title.textContent = `${periodLabel(key, 'day')}: ${value > 0 ? formatMetric(value, metric) : 'no data'}`;
+      rect.appendChild(title);
+      svg.appendChild(rect);
+    }
+  }
+
+  renderTable(periods) {
+    const tbody = document.getElementById('periodRows');
+    tbody.innerHTML = '';
+
+    const rows = periods.filter(entry => entry.seconds > 0).reverse();
+    if (rows.length === 0) {
+      tbody.innerHTML = '<tr class="empty"><td colspan="5">No history yet</td></tr>';
+      return;
+    }
+
+    rows.forEach(entry => {
+      const row = document.createElement('tr');
+      const cells = [
+        periodLabel(entry.key, this.period),
+        formatEnergy(entry.energy),
+        formatCO2(entry.co2e),
+        formatDuration(entry.seconds),
+        entry.domains.slice(0, 3)
+          .map(domain => `${domain.domain} ${(domain.share * 100).toFixed(0)}%`)
+          .join(', ')
+      ];
+
+      cells.forEach(text => {
+        const cell = document.createElement('td');
+        cell.textContent = text;
+        row.appendChild(cell);
+      });
+
+      tbody.appendChild(row);
+    });
+  }
+}
+
+function periodLabel(key, period) {
+  const date = historyKeyToDate(key);
+
+  if (period === 'month') {
+    return date.toLocaleDateString(undefined, { month: 'long', year: 'numeric' });
+  }
+  if (period === 'week') {
+    return `Week of ${date.toLocaleDateString(undefined, { day: 'numeric', month: 'short', year: 'numeric' })}`;
+  }
+  return date.toLocaleDateString(undefined, { weekday: 'short', day: 'numeric', month: 'short', year: 'numeric' });
+}
+
+function shortPeriodLabel(key, period) {
+  const date = historyKeyToDate(key);
+  return period === 'month'
+    ? date.toLocaleDateString(undefined, { month: 'short', year: '2-digit' })
+    : date.toLocaleDateString(undefined, { day: 'numeric', month: 'short' });
+}
+
+function formatMetric(value, metric) {
+  return metric === 'energy' ? formatEnergy(value) : formatCO2(value);
+}
+
+function formatEnergy(energy) {
+  if (energy >= 1000) return `${(energy / 1000).toFixed(3)} kWh`;
+  if (energy >= 1) return `${energy.toFixed(3)} Wh`;
+  if (energy >= 0.001) return `${(energy * 1000).toFixed(2)} mWh`;
+  return `${(energy * 1000000).toFixed(0)} µWh`;
+}
+
+function formatCO2(co2e) {
+  if (co2e >= 1000) return `${(co2e / 1000).toFixed(2)} kgCO₂e`;
+  if (co2e >= 1) return `${co2e.toFixed(2)} gCO₂e`;
+  if (co2e >= 0.001) return `${(co2e * 1000).toFixed(2)} mgCO₂e`;
+  return `${(co2e * 1000000).toFixed(0)} µgCO₂e`;
+}
+
+function formatDuration(seconds) {
+  if (seconds >= 3600) return `${Math.floor(seconds / 3600)}h ${Math.round((seconds % 3600) / 60)}m`;
+  if (seconds >= 60) return `${Math.floor(seconds / 60)}m ${Math.round(seconds % 60)}s`;
+  return `${seconds.toFixed(0)}s`;
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  try {
+    new HistoryController();
+  } catch (error) {
+    console.error('Failed to initialize history page:', error);
+  }
+});
@@ -0,0 +1,76 @@
+// Toolbar badge readout: what it shows and the colour scale, shared by the service worker and popup
+
+const BADGE_METRICS = {
+  power: { label: 'Power (W)', unit: 'W' },
+  co2Rate: { label: 'CO₂ rate (mgCO₂e/min)', unit: 'mgCO₂e/min' }
+};
+
+const BADGE_DEFAULTS = {
+  metric: 'power',
+  // A reading at or above a threshold takes that level's colour
+  thresholds: {
+    power: { medium: 10, high: 25 },
+    co2Rate: { medium: 50, high: 150 }
+  },
+  colors: {
+    low: '#4CAF50',
+    medium: '#FF9800',
+    high: '#F44336'
+  }
+};
+
+const BADGE_IDLE = { text: 'idle', color: '#9E9E9E' };
+
+function normalizeBadgeSettings(settings = {}) {
+  const metric = BADGE_METRICS[settings.metric] ? settings.metric : BADGE_DEFAULTS.metric;
+  const thresholds = {};
+  const colors = { ...BADGE_DEFAULTS.colors };
+
+  for (const key of Object.keys(BADGE_METRICS)) {
+    const stored = (settings.thresholds && settings.thresholds[key]) || {};
+    const medium = parseFloat(stored.medium);
+    const high = parseFloat(stored.high);
+    const valid = !isNaN(medium) && !isNaN(high) && medium >= 0 && high >= medium;
+
+    thresholds[key] = valid ? { medium, high } : { ...BADGE_DEFAULTS.thresholds[key] };
+  }
+
+  for (const level of Object.keys(colors)) {
+    const color = settings.colors && settings.colors[level];
+    if (typeof color === 'string' && /^#[0-9a-f]{6}$/i.test(color)) {
+      colors[level] = color;
+    }
+  }
+
+  return { metric, thresholds, colors };
+}
+
+// The badge's value for a sample in the chosen metric
+function badgeMetricValue(sample, metric) {
+  if (metric === 'co2Rate') {
+    // g per sample to mg per minute, device and data transfer together
+    return ((sample.co2e || 0) + (sample.transferCO2e || 0)) * 1000 * 60 / (sample.duration || 1);
+  }
+  return sample.power || 0;
+}
+
+// Badges fit about four characters
+function formatBadgeNumber(value) {
+  if (value >= 9999.5) return `${Math.round(value / 1000)}k`;
+  if (value >= 999.5) return `${(value / 1000).toFixed(1)}k`;
+  if (value >= 9.95) return String(Math.round(value));
+  return value.toFixed(1);
+}
+
+function badgeState(sample, settings) {
+  const value = badgeMetricValue(sample, settings.metric);
+  const { medium, high } = settings.thresholds[settings.metric];
+  const level = value >= high ? 'high' : value >= medium ? 'medium' : 'low';
+
+  return {
+    text: formatBadgeNumber(value),
+    color: settings.colors[level],
+    level,
+    value
+  };
+}
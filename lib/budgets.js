@@ -0,0 +1,198 @@
+// Energy and CO2 budgets per site or for all browsing, checked as samples arrive
+
+// Limits are stored in Wh or gCO2e; the UI picks a unit per budget
+const BUDGET_UNITS = {
+  mWh: { metric: 'energy', factor: 0.001, label: 'mWh' },
+  Wh: { metric: 'energy', factor: 1, label: 'Wh' },
+  mg: { metric: 'co2e', factor: 0.001, label: 'mgCO₂e' },
+  g: { metric: 'co2e', factor: 1, label: 'gCO₂e' }
+};
+
+const BUDGET_PERIODS = {
+  visit: 'per visit',
+  day: 'per day'
+};
+
+function createUsage() {
+  return { energy: 0, co2e: 0 };
+}
+
+// YYYY-MM-DD in local time, so "per day" follows the user's midnight
+function localDateKey(timestamp) {
+  const date = new Date(timestamp);
+  const pad = value => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// A site budget for example.com also covers news.example.com
+function budgetMatchesDomain(budget, domain) {
+  return domain === budget.domain || (domain || '').endsWith(`.${budget.domain}`);
+}
+
+// Returns a clean budget, or throws with a message for the settings form
+function normalizeBudget(budget) {
+  const scope = budget.scope === 'site' ? 'site' : 'all';
+  const domain = scope === 'site' ? String(budget.domain || '').trim().toLowerCase() : null;
+  const unit = BUDGET_UNITS[budget.unit] ? budget.unit : null;
+  const amount = Number(budget.amount);
+
+  if (scope === 'site' && !/^[a-z0-9.-]+$/.test(domain || '')) {
+    throw new Error('Enter a domain such as news.example.com');
+  }
+  if (!unit) {
+    throw new Error('Pick a unit for the budget');
+  }
+  if (isNaN(amount) || !isFinite(amount) || amount <= 0) {
+    throw new Error('The limit must be a number above 0');
+  }
+  if (!BUDGET_PERIODS[budget.period]) {
+    throw new Error('Pick a budget period');
+  }
+  if (scope === 'all' && budget.period === 'visit') {
+    throw new Error('Budgets for all browsing are per day');
+  }
+
+  return {
+    id: budget.id || `budget-${Date.now()}`,
+    scope,
+    domain,
+    metric: BUDGET_UNITS[unit].metric,
+    unit,
+    amount,
+    limit: amount * BUDGET_UNITS[unit].factor,
+    period: budget.period
+  };
+}
+
+// A Wh or gCO2e value in the unit the budget was set in
+function formatBudgetAmount(budget, value) {
+  const unit = BUDGET_UNITS[budget.unit];
+  const amount = value / unit.factor;
+  return `${amount >= 100 ? amount.toFixed(0) : amount.toPrecision(3)} ${unit.label}`;
+}
+
+function describeBudget(budget) {
+  const target = budget.scope === 'site' ? budget.domain : 'All browsing';
+  return `${target} ≤ ${budget.amount} ${BUDGET_UNITS[budget.unit].label} ${BUDGET_PERIODS[budget.period]}`;
+}
+
+class BudgetTracker {
+  constructor() {
+    this.budgets = [];
+    // all and domains hold today's usage (date); visits holds { domain, startedAt, ...usage }
+    // per tab; alerts records each `${budgetId}:${periodKey}` overrun so it notifies once
+    this.usage = { date: null, all: createUsage(), domains: {}, visits: {}, alerts: {} };
+    this.ready = this.load();
+  }
+
+  async load() {
+    try {
+      const data = await chrome.storage.local.get(['budgets', 'budgetUsage']);
+      this.budgets = Array.isArray(data.budgets) ? data.budgets : [];
+      if (data.budgetUsage) {
+        this.usage = { ...this.usage, ...data.budgetUsage };
+      }
+    } catch (error) {
+      console.error('Failed to load budgets:', error);
+    }
+  }
+
+  setBudgets(budgets) {
+    this.budgets = Array.isArray(budgets) ? budgets : [];
+  }
+
+  // A reload or navigation in a tab starts a new visit
+  endVisit(tabId) {
+    delete this.usage.visits[tabId];
+  }
+
+  // Adds a sample's usage and returns the budgets it pushed over their limit
+  record(sample) {
+    const date = localDateKey(sample.timestamp);
+    if (this.usage.date !== date) {
+      this.usage = { ...this.usage, date, all: createUsage(), domains: {}, alerts: {} };
+    }
+
+    const attribution = sample.attribution || [];
+
+    this.usage.all.energy += sample.energy || 0;
+    this.usage.all.co2e += (sample.co2e || 0) + (sample.transferCO2e || 0);
+
+    attribution.forEach(share => {
+      const energy = share.energy || 0;
+      const co2e = (share.co2e || 0) + (share.transferCO2e || 0);
+
+      const day = this.usage.domains[share.domain] || createUsage();
+      day.energy += energy;
+      day.co2e += co2e;
+      this.usage.domains[share.domain] = day;
+
+      if (share.tabId === null || share.tabId === undefined) return;
+
+      let visit = this.usage.visits[share.tabId];
+      if (!visit || visit.domain !== share.domain) {
+        visit = { domain: share.domain, startedAt: sample.timestamp, ...createUsage() };
+        this.usage.visits[share.tabId] = visit;
+      }
+      visit.energy += energy;
+      visit.co2e += co2e;
+    });
+
+    const exceeded = [];
+    this.getStatus().forEach(status => {
+      if (!status.exceeded) return;
+
+      const alertKey = `${status.budget.id}:${status.periodKey}`;
+      if (!this.usage.alerts[alertKey]) {
+        this.usage.alerts[alertKey] = sample.timestamp;
+        exceeded.push(status);
+      }
+    });
+
+    return exceeded;
+  }
+
+  // Current usage against each budget
+  getStatus() {
+    return this.budgets.map(budget => {
+      let used = 0;
+      let periodKey = this.usage.date;
+
+      if (budget.scope === 'all') {
+        used = this.usage.all[budget.metric];
+      } else if (budget.period === 'day') {
+        used = Object.entries(this.usage.domains)
+          .filter(([domain]) => budgetMatchesDomain(budget, domain))
+          .reduce((sum, [, usage]) => sum + usage[budget.metric], 0);
+      } else {
+        // The heaviest open visit to the site
+        Object.entries(this.usage.visits)
+          .filter(([, visit]) => budgetMatchesDomain(budget, visit.domain))
+          .forEach(([tabId, visit]) => {
+            if (visit[budget.metric] >= used) {
+              used = visit[budget.metric];
+              periodKey = `${tabId}:${visit.startedAt}`;
+            }
+          });
+      }
+
+      return {
+        budget,
+        label: describeBudget(budget),
+        used,
+        limit: budget.limit,
+        fraction: budget.limit > 0 ? used / budget.limit : 0,
+        exceeded: used > budget.limit,
+        periodKey
+      };
+    });
+  }
+
+  async save() {
+    try {
+      await chrome.storage.local.set({ budgetUsage: this.usage });
+    } catch (error) {
+      console.error('Failed to persist budget usage:', error);
+    }
+  }
+}
@@ -0,0 +1,202 @@
+// Time-varying grid carbon intensity and the data-transfer model, shared by the service worker,
+// extension pages and the HAR CLI. Region and transfer lookups need lib/co2.js loaded first.
+
+const MIN_CO2_INTENSITY = 0;    // gCO2e/kWh
+const MAX_CO2_INTENSITY = 2000; // gCO2e/kWh; the dirtiest marginal grids in CO2.js exceed 1500
+
+// Version of the bundled lib/co2.js, recorded with region intensities so results can be reproduced
+const CO2JS_VERSION = '0.17.0';
+
+const INTENSITY_ACCOUNTING = {
+  average: 'Average (generation mix)',
+  marginal: 'Marginal (next unit of demand)'
+};
+
+// Indexed like Date.getDay()
+const WEEKDAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+function isValidIntensity(value) {
+  return typeof value === 'number' && isFinite(value) &&
+    value >= MIN_CO2_INTENSITY && value <= MAX_CO2_INTENSITY;
+}
+
+// A schedule is { enabled, name, hours } where hours[weekday][hour] is gCO2e/kWh in local time
+function createIntensitySchedule(intensity, name = 'Manual') {
+  return {
+    enabled: false,
+    name,
+    hours: WEEKDAY_NAMES.map(() => new Array(24).fill(intensity))
+  };
+}
+
+// Returns a clean copy of a stored schedule, or null if it is malformed
+function normalizeIntensitySchedule(schedule) {
+  if (!schedule || !Array.isArray(schedule.hours) || schedule.hours.length !== 7) {
+    return null;
+  }
+
+  const hours = schedule.hours.map(day =>
+    Array.isArray(day) && day.length === 24 ? day.map(Number) : null);
+
+  if (hours.some(day => !day || !day.every(isValidIntensity))) {
+    return null;
+  }
+
+  return {
+    enabled: schedule.enabled === true,
+    name: typeof schedule.name === 'string' ? schedule.name : 'Manual',
+    hours
+  };
+}
+
+// Intensity in effect at a timestamp; falls back to the constant when no schedule is enabled
+function intensityAt(schedule, timestamp, fallback) {
+  if (!schedule || !schedule.enabled) {
+    return fallback;
+  }
+
+  const date = new Date(timestamp);
+  return schedule.hours[date.getDay()][date.getHours()];
+}
+
+function parseWeekday(value) {
+  const text = value.trim().toLowerCase();
+  if (text === '*' || text === 'all') return '*';
+
+  const number = Number(text);
+  if (text !== '' && Number.isInteger(number) && number >= 0 && number <= 6) return number;
+
+  const index = WEEKDAY_NAMES.findIndex(name => text.startsWith(name.toLowerCase()));
+  return index === -1 ? null : index;
+}
+
+// Reads "hour,intensity" rows (every day alike) or "weekday,hour,intensity" rows.
+// Weekdays are 0–6 from Sunday, names such as Mon or Monday, or * for every day.
+function parseIntensityScheduleCSV(text, name = 'Imported') {
+  const lines = text.trim().split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+  const hours = WEEKDAY_NAMES.map(() => new Array(24).fill(null));
+
+  lines.forEach((line, index) => {
+    const cells = line.split(',');
+
+    // Skip a header row
+    if (index === 0 && isNaN(Number(cells[cells.length - 1]))) return;
+
+    let weekday = '*';
+    let hourCell;
+    let intensityCell;
+
+    if (cells.length === 2) {
+      [hourCell, intensityCell] = cells;
+    } else if (cells.length === 3) {
+      weekday = parseWeekday(cells[0]);
+      [, hourCell, intensityCell] = cells;
+    } else {
+      throw new Error(`Line ${index + 1}: expected "hour,intensity" or "weekday,hour,intensity"`);
+    }
+
+    const hour = Number(hourCell);
+    const intensity = Number(intensityCell);
+
+    if (weekday === null) {
+      throw new Error(`Line ${index + 1}: unknown weekday "${cells[0].trim()}"`);
+    }
+    if (!Number.isInteger(hour) || hour < 0 || hour > 23) {
+      throw new Error(`Line ${index + 1}: hour must be 0–23`);
+    }
+    if (!isValidIntensity(intensity)) {
+      throw new Error(`Line ${index + 1}: intensity must be ${MIN_CO2_INTENSITY}–${MAX_CO2_INTENSITY} g/kWh`);
+    }
+
+    const days = weekday === '*' ? [0, 1, 2, 3, 4, 5, 6] : [weekday];
+    days.forEach(day => {
+      hours[day][hour] = intensity;
+    });
+  });
+
+  const missing = [];
+  hours.forEach((day, weekday) => day.forEach((value, hour) => {
+    if (value === null) missing.push(`${WEEKDAY_NAMES[weekday]} ${hour}:00`);
+  }));
+
+  if (missing.length > 0) {
+    throw new Error(`Schedule has no intensity for ${missing.slice(0, 3).join(', ')}` +
+      (missing.length > 3 ? ` and ${missing.length - 3} more hours` : ''));
+  }
+
+  return { enabled: true, name, hours };
+}
+
+function intensityScheduleToCSV(schedule) {
+  const rows = ['weekday,hour,intensity'];
+
+  schedule.hours.forEach((day, weekday) => day.forEach((intensity, hour) => {
+    rows.push(`${WEEKDAY_NAMES[weekday]},${hour},${intensity}`);
+  }));
+
+  return rows.join('\n') + '\n';
+}
+
+// Energy-weighted average intensity behind a CO2 total
+function effectiveCO2Intensity(totalEnergyWh, totalCO2e) {
+  return totalEnergyWh > 0 ? totalCO2e / (totalEnergyWh / 1000) : null;
+}
+
+// Regions with a value in either CO2.js table, named from data/grid-regions.json.
+// Needs the lib/co2.js bundle for the tables.
+function listGridRegions(regionData) {
+  const codes = new Set([
+    ...Object.keys(co2.averageIntensity.data),
+    ...Object.keys(co2.marginalIntensity.data)
+  ]);
+  const groups = new Set(regionData.groups || []);
+
+  return [...codes]
+    .map(code => ({
+      code,
+      name: (regionData.names && regionData.names[code]) || code,
+      group: groups.has(code),
+      average: gridIntensityFor(code, 'average'),
+      marginal: gridIntensityFor(code, 'marginal')
+    }))
+    .sort((a, b) => a.group - b.group || a.name.localeCompare(b.name));
+}
+
+// Per-byte data-transfer model, shared by the service worker and the HAR CLI
+const TRANSFER_MODEL_LABEL = 'co2.js Sustainable Web Design v4';
+
+function createTransferModel() {
+  return new co2.co2({ model: 'swd', version: 4 });
+}
+
+// gCO2e for transferring `bytes`; green hosting zeroes the data-centre share of the grid intensity.
+// Without an intensity (gCO2e/kWh) every segment uses the model's global average.
+function estimateTransferCO2e(model, bytes, green = false, intensity = null) {
+  if (!bytes) return 0;
+
+  const co2e = intensity === null
+    ? model.perByte(bytes, green)
+    : model.perByteTrace(bytes, green, {
+      gridIntensity: { device: intensity, dataCenter: intensity, network: intensity }
+    }).co2;
+  return isNaN(co2e) || !isFinite(co2e) || co2e < 0 ? 0 : co2e;
+}
+
+// The CO2.js value for a region, with what is needed to trace it back; null if the table has none
+function gridIntensityFor(code, accounting) {
+  const table = accounting === 'marginal' ? co2.marginalIntensity : co2.averageIntensity;
+  const intensity = Number(table.data[code]);
+
+  if (table.data[code] === undefined || !isValidIntensity(intensity)) {
+    return null;
+  }
+
+  return {
+    region: code,
+    accounting: table.type,
+    intensity,
+    // The average table ships without a year, so the library version pins the data instead
+    dataYear: table.year ? Number(table.year) : null,
+    dataSource: `co2.js ${CO2JS_VERSION}`
+  };
+}
@@ -0,0 +1,2 @@
+// CO2.js 0.17.0 (Apache-2.0) src/hosting-json.js: check, find and greenDomainsFromResults as co2HostingJSON
+var co2HostingJSON=(()=>{var g=Object.defineProperty;var h=Object.getOwnPropertyDescriptor;var _=Object.getOwnPropertyNames;var m=Object.prototype.hasOwnProperty;var N=(t,n)=>{for(var s in n)g(t,s,{get:n[s],enumerable:!0})},k=(t,n,s,u)=>{if(n&&typeof n=="object"||typeof n=="function")for(let o of _(n))!m.call(t,o)&&o!==s&&g(t,o,{get:()=>n[o],enumerable:!(u=h(n,o))||u.enumerable});return t};var y=t=>k(g({},"__esModule",{value:!0}),t);var q={};N(q,{check:()=>D,find:()=>I,greenDomainsFromResults:()=>v});var J=Object.getOwnPropertyNames,S=(t,n)=>function(){return n||(0,t[J(t)[0]])((n={exports:{}}).exports,n),n.exports},j=S({"src/hosting-json.js"(t,n){async function s(e,r){return typeof e=="string"?u(e,r):O(e,r)}function u(e,r){return r.indexOf(e)>-1}function o(e){return Object.entries(e).filter(([i,c])=>c.green).map(([i,c])=>c.url)}function O(e,r){let f=[];for(let i of e)r.indexOf(i)>-1&&f.push(i);return f}function a(e,r){return typeof e=="string"?l(e,r):x(e,r)}function l(e,r){return r.indexOf(e)>-1?e:{url:e,green:!1}}function x(e,r){let f={};for(let i of e)f[i]=l(i,r);return f}n.exports={check:s,greenDomainsFromResults:o,find:a}}}),p=j();var{check:D,find:I,greenDomainsFromResults:v}=p;return y(q);})();
@@ -0,0 +1,118 @@
+// Offline green-hosting lookups against an imported copy of the Green Web Foundation dataset,
+// through CO2.js's hosting-json helpers (lib/co2-hosting-json.js, loaded first). CO2.js's
+// hosting() asks the Green Web Foundation API before it reads a local list, so it isn't used:
+// the check must not send visited domains anywhere. Until a dataset is imported the check is
+// unavailable and every lookup answers null.
+
+// true or false for a domain in a parseGreenDomains() list, or null without a list
+function lookUpGreenDomain(domains, domain) {
+  if (!domains || domains.length === 0) return null;
+
+  const host = String(domain).toLowerCase();
+  return co2HostingJSON.find(host, domains) === host;
+}
+
+class GreenHostingChecker {
+  constructor() {
+    this.domains = [];
+    this.datasetVersion = null;
+    this.cache = {}; // domain -> { green, checkedAt, datasetVersion }
+    this.ready = this.load();
+  }
+
+  async load() {
+    try {
+      const data = await chrome.storage.local.get(['greenDomainsDataset', 'greenHostingCache']);
+
+      const dataset = data.greenDomainsDataset;
+      if (dataset && dataset.domains.length > 0) {
+        this.domains = dataset.domains;
+        this.datasetVersion = dataset.version;
+        this.cache = data.greenHostingCache || {};
+        console.log('Loaded green domains dataset', this.datasetVersion, `(${this.domains.length} domains)`);
+      }
+    } catch (error) {
+      console.error('Failed to load green domains dataset:', error);
+    }
+  }
+
+  // For the settings page and popup, which label the check unavailable without a dataset
+  getStatus() {
+    return {
+      available: this.domains.length > 0,
+      version: this.datasetVersion,
+      domains: this.domains.length
+    };
+  }
+
+  // Cached answer, or null if the domain has not been checked yet
+  isGreen(domain) {
+    const entry = this.cache[domain];
+    return entry && entry.datasetVersion === this.datasetVersion ? entry.green : null;
+  }
+
+  async check(domain) {
+    await this.ready;
+
+    const cached = this.isGreen(domain);
+    if (cached !== null) return cached;
+
+    // Nothing to cache until a dataset is imported
+    const green = lookUpGreenDomain(this.domains, domain);
+    if (green === null) return null;
+
+    this.cache[domain] = { green, checkedAt: Date.now(), datasetVersion: this.datasetVersion };
+
+    try {
+      await chrome.storage.local.set({ greenHostingCache: this.cache });
+    } catch (error) {
+      console.error('Failed to cache green hosting result:', error);
+    }
+
+    return green;
+  }
+
+  async importDataset(input, version = new Date().toISOString()) {
+    const domains = parseGreenDomains(input);
+    if (domains.length === 0) {
+      throw new Error('The file lists no green domains');
+    }
+    const dataset = { version, domains };
+
+    await chrome.storage.local.set({ greenDomainsDataset: dataset, greenHostingCache: {} });
+
+    this.domains = domains;
+    this.datasetVersion = version;
+    this.cache = {};
+
+    return domains.length;
+  }
+}
+
+// Accepts a list of domains, newline-separated text, or Green Web Foundation
+// greencheckmulti results ({ "example.com": { url, green } })
+function parseGreenDomains(input) {
+  if (typeof input === 'string') {
+    const text = input.trim();
+    if (text.startsWith('[') || text.startsWith('{')) {
+      return parseGreenDomains(JSON.parse(text));
+    }
+    return text.split(/\r?\n/).map(line => line.trim().toLowerCase()).filter(Boolean);
+  }
+
+  if (Array.isArray(input)) {
+    return input
+      .map(entry => (typeof entry === 'string' ? entry : entry && entry.green && entry.url))
+      .filter(Boolean)
+      .map(domain => domain.trim().toLowerCase());
+  }
+
+  if (input && typeof input === 'object') {
+    if (Array.isArray(input.domains)) {
+      return parseGreenDomains(input.domains);
+    }
+    return parseGreenDomains(co2HostingJSON.greenDomainsFromResults(input));
+  }
+
+  return [];
+}
@@ -0,0 +1,127 @@
+// JS heap leak detection: a linear trend over each tab's heap readings, kept for up to an hour
+// in session storage so the window outlives service-worker restarts. Expects lib/history.js
+// (linearTrend) to be loaded first. recommendations.js shares the trend and growth threshold.
+
+const HEAP_LEAK_THRESHOLDS = {
+  sampleIntervalMs: 30000,  // One stored reading per tab every 30 s
+  windowMs: 3600000,        // Readings older than an hour are dropped
+  minDurationMs: 600000,    // Need 10 minutes of readings before judging
+  minSamples: 15,
+  minGrowth: 0.25,          // MB per minute
+  minRSquared: 0.75,        // How well a straight line explains the readings
+  minRecentShare: 0.5       // Recent slope as a share of the overall; below this it is levelling off
+};
+
+// linearTrend through { timestamp, heapMB } readings against minutes since the first one, so the
+// slope is in MB per minute however unevenly the readings are spaced
+function fitHeapTrend(samples) {
+  if (samples.length < 2) return null;
+
+  const minutes = samples.map(sample => (sample.timestamp - samples[0].timestamp) / 60000);
+  const values = samples.map(sample => sample.heapMB);
+  const trend = linearTrend(values, minutes);
+  if (!trend) return null;
+
+  const meanY = values.reduce((sum, value) => sum + value, 0) / values.length;
+  let residual = 0;
+  let total = 0;
+
+  values.forEach((value, index) => {
+    residual += (value - (trend.intercept + trend.slope * minutes[index])) ** 2;
+    total += (value - meanY) ** 2;
+  });
+
+  return {
+    slope: trend.slope,
+    intercept: trend.intercept,
+    rSquared: total > 0 ? 1 - residual / total : 0
+  };
+}
+
+// A leak finding for a tab's readings, or null if the heap is flat, noisy or levelling off.
+// Extra power comes from the power model's memory coefficient (W per MB).
+function detectHeapLeak(samples, coefficients, thresholds = HEAP_LEAK_THRESHOLDS) {
+  if (samples.length < thresholds.minSamples) return null;
+
+  const durationMs = samples[samples.length - 1].timestamp - samples[0].timestamp;
+  if (durationMs < thresholds.minDurationMs) return null;
+
+  const trend = fitHeapTrend(samples);
+  if (!trend || trend.slope < thresholds.minGrowth || trend.rSquared < thresholds.minRSquared) {
+    return null;
+  }
+
+  // A heap that grows and then settles fits a line well too, so the last third must still climb
+  const recent = fitHeapTrend(samples.slice(-Math.ceil(samples.length / 3)));
+  if (!recent || recent.slope < trend.slope * thresholds.minRecentShare) return null;
+
+  const durationMinutes = durationMs / 60000;
+  return {
+    growthMBPerMinute: trend.slope,
+    recentGrowthMBPerMinute: recent.slope,
+    rSquared: trend.rSquared,
+    durationMinutes,
+    startMB: trend.intercept,
+    endMB: trend.intercept + trend.slope * durationMinutes,
+    // Power the growth has added over the window, and what another hour of it would add
+    extraPower: trend.slope * durationMinutes * coefficients.memory,
+    extraPowerPerHour: trend.slope * 60 * coefficients.memory
+  };
+}
+
+class HeapLeakDetector {
+  constructor() {
+    this.tabs = {}; // tabId -> { url, domain, samples, finding }
+    this.ready = this.load();
+  }
+
+  async load() {
+    try {
+      const { heapHistory } = await chrome.storage.session.get('heapHistory');
+      this.tabs = heapHistory || {};
+    } catch (error) {
+      console.error('Failed to load heap history:', error);
+    }
+  }
+
+  // A reload or navigation in a tab starts a new heap
+  endVisit(tabId) {
+    delete this.tabs[tabId];
+  }
+
+  // Stores a page's heap reading at most once per interval and re-runs detection.
+  // Returns true when a reading was stored.
+  record(tabId, page, coefficients, timestamp = Date.now()) {
+    if (!(page.memory > 0)) return false; // performance.memory is Chrome-only and can be missing
+
+    let tab = this.tabs[tabId];
+    if (!tab || tab.url !== page.url) {
+      tab = { url: page.url, domain: page.domain, samples: [], finding: null };
+      this.tabs[tabId] = tab;
+    }
+
+    const last = tab.samples[tab.samples.length - 1];
+    if (last && timestamp - last.timestamp < HEAP_LEAK_THRESHOLDS.sampleIntervalMs) return false;
+
+    tab.samples.push({ timestamp, heapMB: page.memory });
+    tab.samples = tab.samples.filter(sample => timestamp - sample.timestamp <= HEAP_LEAK_THRESHOLDS.windowMs);
+    tab.finding = detectHeapLeak(tab.samples, coefficients);
+    return true;
+  }
+
+  // Flagged tabs, fastest growth first
+  getFindings() {
+    return Object.entries(this.tabs)
+      .filter(([, tab]) => tab.finding)
+      .map(([tabId, tab]) => ({ tabId: Number(tabId), url: tab.url, domain: tab.domain, ...tab.finding }))
+      .sort((a, b) => b.growthMBPerMinute - a.growthMBPerMinute);
+  }
+
+  async save() {
+    try {
+      await chrome.storage.session.set({ heapHistory: this.tabs });
+    } catch (error) {
+      console.error('Failed to persist heap history:', error);
+    }
+  }
+}
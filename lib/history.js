@@ -0,0 +1,140 @@
+// Per-day, per-week and per-month totals for the history dashboard, from the day-tier rollups
+// (lib/rollups.js). Expects lib/budgets.js to be loaded first for localDateKey().
+
+const HISTORY_PERIODS = {
+  day: 'Daily',
+  week: 'Weekly',
+  month: 'Monthly'
+};
+
+function createDayTotals() {
+  return { energy: 0, co2e: 0, transferBytes: 0, transferCO2e: 0, seconds: 0, domains: {} };
+}
+
+function addTotals(target, totals) {
+  target.energy += totals.energy;
+  target.co2e += totals.co2e;
+  target.transferCO2e += totals.transferCO2e || 0;
+}
+
+// Per-day totals keyed by local date (YYYY-MM-DD) from day-tier rollups: totalRows are the
+// across-domain rows (queryRollups with groupBy 'bucket'), domainRows one row per day and domain
+function dailyTotalsFromRollups(totalRows, domainRows) {
+  const days = {};
+  const dayOf = row => {
+    const date = localDateKey(row.start);
+    return days[date] || (days[date] = createDayTotals());
+  };
+
+  for (const row of totalRows) {
+    const day = dayOf(row);
+    addTotals(day, row);
+    day.transferBytes += row.transferBytes;
+    day.seconds += row.seconds;
+  }
+
+  for (const row of domainRows) {
+    const day = dayOf(row);
+    const domain = day.domains[row.domain] ||
+      (day.domains[row.domain] = { energy: 0, co2e: 0, transferCO2e: 0 });
+    addTotals(domain, row);
+  }
+
+  return days;
+}
+
+// Local midnight of a day key, or the first of the month for a month key
+function historyKeyToDate(key) {
+  const [year, month, day = 1] = key.split('-').map(Number);
+  return new Date(year, month - 1, day);
+}
+
+// The day, Monday-started week or month a day key falls in
+function historyPeriodKey(dateKey, period) {
+  if (period === 'month') {
+    return dateKey.slice(0, 7);
+  }
+
+  if (period === 'week') {
+    const date = historyKeyToDate(dateKey);
+    date.setDate(date.getDate() - (date.getDay() + 6) % 7);
+    return localDateKey(date.getTime());
+  }
+
+  return dateKey;
+}
+
+function nextHistoryKey(key, period) {
+  const date = historyKeyToDate(key);
+
+  if (period === 'month') {
+    date.setMonth(date.getMonth() + 1);
+    return localDateKey(date.getTime()).slice(0, 7);
+  }
+
+  date.setDate(date.getDate() + (period === 'week' ? 7 : 1));
+  return localDateKey(date.getTime());
+}
+
+// Totals per period from the first recorded day to the last, including empty periods so
+// trends have an even time axis. CO2 counts device and data-transfer emissions together.
+function summarizeHistory(days, period) {
+  const periods = new Map();
+
+  for (const [date, day] of Object.entries(days)) {
+    const key = historyPeriodKey(date, period);
+    const entry = periods.get(key) || { key, energy: 0, co2e: 0, transferBytes: 0, seconds: 0, domains: {} };
+
+    entry.energy += day.energy;
+    entry.co2e += day.co2e + day.transferCO2e;
+    entry.transferBytes += day.transferBytes;
+    entry.seconds += day.seconds;
+
+    for (const [name, domain] of Object.entries(day.domains)) {
+      const target = entry.domains[name] || (entry.domains[name] = { domain: name, energy: 0, co2e: 0 });
+      target.energy += domain.energy;
+      target.co2e += domain.co2e + domain.transferCO2e;
+    }
+
+    periods.set(key, entry);
+  }
+
+  if (periods.size === 0) return [];
+
+  const keys = [...periods.keys()].sort();
+  const result = [];
+
+  for (let key = keys[0]; key <= keys[keys.length - 1]; key = nextHistoryKey(key, period)) {
+    const entry = periods.get(key) || { key, energy: 0, co2e: 0, transferBytes: 0, seconds: 0, domains: {} };
+    result.push({
+      ...entry,
+      domains: Object.values(entry.domains)
+        .map(domain => ({ ...domain, share: entry.energy > 0 ? domain.energy / entry.energy : 0 }))
+        .sort((a, b) => b.energy - a.energy)
+    });
+  }
+
+  return result;
+}
+
+// Least-squares line through values, as { slope, intercept }. Values are evenly spaced one step
+// apart unless xs gives each one's position; null if there is no spread in x to fit.
+function linearTrend(values, xs = values.map((value, index) => index)) {
+  const n = values.length;
+  if (n < 2) return null;
+
+  const meanX = xs.reduce((sum, x) => sum + x, 0) / n;
+  const meanY = values.reduce((sum, value) => sum + value, 0) / n;
+  let covariance = 0;
+  let variance = 0;
+
+  values.forEach((value, index) => {
+    covariance += (xs[index] - meanX) * (value - meanY);
+    variance += (xs[index] - meanX) ** 2;
+  });
+
+  if (variance === 0) return null;
+
+  const slope = covariance / variance;
+  return { slope, intercept: meanY - slope * meanX };
+}
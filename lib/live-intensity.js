@@ -0,0 +1,268 @@
+// Live grid carbon intensity polled from an HTTP endpoint by the service worker.
+// Expects lib/carbon-intensity.js to be loaded first for isValidIntensity().
+
+const LIVE_INTENSITY_DEFAULTS = {
+  enabled: false,
+  provider: 'http',
+  url: '',
+  authHeader: '',    // e.g. auth-token for Electricity Maps
+  authValue: '',
+  jsonPath: '',      // e.g. carbonIntensity, or data[0].intensity.actual for the UK API
+  timestampPath: '', // Optional time of the reading, e.g. datetime or data[0].from
+  pollMinutes: 5,
+  maxAgeMinutes: 60, // Older readings fall back to the static intensity
+  retries: 2,
+  retryDelayMs: 1000,
+  timeoutMs: 10000
+};
+
+// A week of readings at the default poll interval
+const LIVE_INTENSITY_MAX_READINGS = 2016;
+
+function normalizeLiveIntensityConfig(config = {}) {
+  const normalized = { ...LIVE_INTENSITY_DEFAULTS };
+
+  for (const key of ['provider', 'url', 'authHeader', 'authValue', 'jsonPath', 'timestampPath']) {
+    if (typeof config[key] === 'string') {
+      normalized[key] = config[key].trim();
+    }
+  }
+
+  const numbers = {
+    pollMinutes: [0.5, 1440],
+    maxAgeMinutes: [1, 10080],
+    retries: [0, 5],
+    retryDelayMs: [0, 60000],
+    timeoutMs: [1000, 60000]
+  };
+  for (const [key, [min, max]] of Object.entries(numbers)) {
+    const value = Number(config[key]);
+    if (config[key] !== undefined && config[key] !== '' && !isNaN(value) && isFinite(value)) {
+      normalized[key] = Math.max(min, Math.min(max, value));
+    }
+  }
+
+  // Polling needs somewhere to poll and something to read
+  normalized.enabled = config.enabled === true && normalized.url !== '' && normalized.jsonPath !== '';
+
+  return normalized;
+}
+
+// Reads a value such as data[0].intensity.actual out of a parsed JSON response
+function readJsonPath(data, path) {
+  const keys = path.match(/[^.[\]]+/g) || [];
+
+  return keys.reduce((value, key) => {
+    if (value === null || value === undefined) return undefined;
+    return value[key];
+  }, data);
+}
+
+class HttpIntensityProvider {
+  constructor(config, fetchImpl = fetch.bind(globalThis)) {
+    this.config = config;
+    this.fetch = fetchImpl;
+  }
+
+  // Tries the endpoint up to 1 + retries times, backing off between attempts
+  async fetchReading() {
+    let lastError = null;
+
+    for (let attempt = 0; attempt <= this.config.retries; attempt++) {
+      try {
+        return await this.request();
+      } catch (error) {
+        lastError = error;
+        if (attempt < this.config.retries) {
+          await new Promise(resolve => setTimeout(resolve, this.config.retryDelayMs * 2 ** attempt));
+        }
+      }
+    }
+
+    throw lastError;
+  }
+
+  async request() {
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), this.config.timeoutMs);
+    const headers = { Accept: 'application/json' };
+
+    if (this.config.authHeader) {
+      headers[this.config.authHeader] = this.config.authValue;
+    }
+
+    try {
+      const response = await this.fetch(this.config.url, {
+        headers,
+        cache: 'no-store',
+        signal: controller.signal
+      });
+
+      if (!response.ok) {
+        throw new Error(`Intensity endpoint returned HTTP ${response.status}`);
+      }
+
+      const data = await response.json();
+      const intensity = Number(readJsonPath(data, this.config.jsonPath));
+
+      if (!isValidIntensity(intensity)) {
+        throw new Error(`No valid intensity at "${this.config.jsonPath}" in the response`);
+      }
+
+      const reported = this.config.timestampPath
+        ? Date.parse(readJsonPath(data, this.config.timestampPath))
+        : NaN;
+      const fetchedAt = Date.now();
+
+      // A period that starts after the fetch (clock skew, forecasts) is treated as current
+      return {
+        timestamp: isNaN(reported) ? fetchedAt : Math.min(reported, fetchedAt),
+        intensity,
+        fetchedAt
+      };
+    } finally {
+      clearTimeout(timeout);
+    }
+  }
+}
+
+// Provider types by config.provider; each takes (config, fetchImpl) and offers fetchReading()
+const INTENSITY_PROVIDERS = {
+  http: HttpIntensityProvider
+};
+
+function createIntensityProvider(config, fetchImpl) {
+  const Provider = INTENSITY_PROVIDERS[config.provider];
+  if (!Provider) {
+    throw new Error(`Unknown intensity provider "${config.provider}"`);
+  }
+  return new Provider(config, fetchImpl);
+}
+
+// Readings ({ timestamp, intensity, fetchedAt }) kept in time order
+class IntensityTimeSeries {
+  constructor(readings = []) {
+    this.readings = [...readings].sort((a, b) => a.timestamp - b.timestamp);
+  }
+
+  add(reading) {
+    const index = this.readings.findIndex(existing => existing.timestamp >= reading.timestamp);
+
+    if (index === -1) {
+      this.readings.push(reading);
+    } else if (this.readings[index].timestamp === reading.timestamp) {
+      this.readings[index] = reading;
+    } else {
+      this.readings.splice(index, 0, reading);
+    }
+
+    if (this.readings.length > LIVE_INTENSITY_MAX_READINGS) {
+      this.readings.splice(0, this.readings.length - LIVE_INTENSITY_MAX_READINGS);
+    }
+  }
+
+  // The reading in force at a timestamp: the latest one at or before it, if not older than maxAgeMs
+  at(timestamp, maxAgeMs) {
+    let low = 0;
+    let high = this.readings.length - 1;
+    let found = null;
+
+    while (low <= high) {
+      const mid = (low + high) >> 1;
+      if (this.readings[mid].timestamp <= timestamp) {
+        found = this.readings[mid];
+        low = mid + 1;
+      } else {
+        high = mid - 1;
+      }
+    }
+
+    return found && timestamp - found.timestamp <= maxAgeMs ? found : null;
+  }
+
+  latest() {
+    return this.readings.length > 0 ? this.readings[this.readings.length - 1] : null;
+  }
+}
+
+class LiveIntensityService {
+  constructor(fetchImpl) {
+    this.fetchImpl = fetchImpl;
+    this.config = normalizeLiveIntensityConfig();
+    this.series = new IntensityTimeSeries();
+    this.lastError = null; // { message, at } from the last failed poll
+    this.ready = this.load();
+  }
+
+  async load() {
+    try {
+      const data = await chrome.storage.local.get(['liveIntensityConfig', 'liveIntensitySeries']);
+      this.config = normalizeLiveIntensityConfig(data.liveIntensityConfig);
+      this.series = new IntensityTimeSeries(data.liveIntensitySeries || []);
+    } catch (error) {
+      console.error('Failed to load live intensity settings:', error);
+    }
+  }
+
+  async configure(config) {
+    const previous = this.config;
+    this.config = normalizeLiveIntensityConfig(config);
+
+    // Readings from a different endpoint or field would be mixed into the wrong series
+    if (previous.url !== this.config.url || previous.jsonPath !== this.config.jsonPath) {
+      this.series = new IntensityTimeSeries();
+      this.lastError = null;
+      await chrome.storage.local.set({ liveIntensitySeries: [] });
+    }
+  }
+
+  // Live intensity for a timestamp, or null so the caller falls back to the static value
+  intensityAt(timestamp) {
+    if (!this.config.enabled) return null;
+
+    const reading = this.series.at(timestamp, this.config.maxAgeMinutes * 60000);
+    return reading ? reading.intensity : null;
+  }
+
+  // Fetches a new reading unless the cached one is younger than the poll interval
+  async poll(force = false) {
+    await this.ready;
+    if (!this.config.enabled) return null;
+
+    const latest = this.series.latest();
+    if (!force && latest && Date.now() - latest.fetchedAt < this.config.pollMinutes * 60000) {
+      return latest;
+    }
+
+    try {
+      const reading = await createIntensityProvider(this.config, this.fetchImpl).fetchReading();
+      this.series.add(reading);
+      this.lastError = null;
+      await chrome.storage.local.set({ liveIntensitySeries: this.series.readings });
+      return reading;
+    } catch (error) {
+      this.lastError = { message: error.message, at: Date.now() };
+      console.warn('Live intensity poll failed, using the static intensity:', error.message);
+      return null;
+    }
+  }
+
+  getStatus() {
+    return {
+      enabled: this.config.enabled,
+      latest: this.series.latest(),
+      current: this.intensityAt(Date.now()),
+      readingCount: this.series.readings.length,
+      lastError: this.lastError
+    };
+  }
+}
+
+// One request with the given settings, for checking them before saving
+async function testIntensityProvider(config, fetchImpl) {
+  const normalized = normalizeLiveIntensityConfig({ ...config, enabled: true });
+  if (!normalized.enabled) {
+    throw new Error('Enter an endpoint URL and a JSON path');
+  }
+  return createIntensityProvider({ ...normalized, retries: 0 }, fetchImpl).fetchReading();
+}
@@ -0,0 +1,291 @@
+// Power model shared by the content scripts, the service worker, extension pages and the HAR CLI
+
+// Clamp between 0.1W and 100W (reasonable range for a browser's share of a device)
+const MIN_SAMPLE_POWER = 0.1; // W
+const MAX_SAMPLE_POWER = 100; // W
+
+const POWER_COEFFICIENT_FIELDS = {
+  basePerTab: 'Base power per tab (W)',
+  cpu: 'CPU (W per 1% main-thread busy)',
+  memory: 'Memory (W per MB of JS heap)',
+  network: 'Network (W per request in the last minute)',
+  activeTabBoost: 'Active tab interaction (W)',
+  systemCpu: 'Machine CPU (W per 1% utilisation)',
+  systemMemory: 'Machine memory (W per MB in use)'
+};
+
+const POWER_PROFILES = {
+  'thin-laptop': {
+    label: 'Thin laptop',
+    coefficients: {
+      basePerTab: 0.3,     // 0.3W per idle tab
+      cpu: 0.02,           // 2W at 100% of one core
+      memory: 0.001,       // Roughly 0.001W per MB of DRAM
+      network: 0.001,      // Radio/interface power per request
+      activeTabBoost: 0.1, // Extra power for user interaction
+      systemCpu: 0.03,     // 3W across the package at 100% machine utilisation
+      systemMemory: 0.0002 // Per MB of system memory in use
+    }
+  },
+  'desktop': {
+    label: 'Desktop',
+    coefficients: {
+      basePerTab: 0.6,
+      cpu: 0.06,
+      memory: 0.0015,
+      network: 0.002,
+      activeTabBoost: 0.2,
+      systemCpu: 0.3,
+      systemMemory: 0.0004
+    }
+  },
+  'mobile-class': {
+    label: 'Mobile-class',
+    coefficients: {
+      basePerTab: 0.1,
+      cpu: 0.01,
+      memory: 0.0005,
+      network: 0.003,      // Cellular/Wi-Fi radios dominate on small devices
+      activeTabBoost: 0.05,
+      systemCpu: 0.02,
+      systemMemory: 0.0001
+    }
+  }
+};
+
+const DEFAULT_POWER_PROFILE = 'thin-laptop';
+
+// A request counts towards the network term for this long after it starts
+const NETWORK_WINDOW_MS = 60000;
+
+function clampPower(power) {
+  const num = Number(power);
+  if (isNaN(num) || !isFinite(num)) {
+    return 0.5;
+  }
+  return Math.max(MIN_SAMPLE_POWER, Math.min(MAX_SAMPLE_POWER, num));
+}
+
+// Built-in profiles plus any saved by the calibration wizard
+function listPowerProfiles(settings = {}) {
+  return { ...POWER_PROFILES, ...(settings.customProfiles || {}) };
+}
+
+// Settings are { profile, coefficients, customProfiles } where coefficients override the profile's values
+function resolvePowerModel(settings = {}) {
+  const profiles = listPowerProfiles(settings || {});
+  const profileId = profiles[settings && settings.profile] ? settings.profile : DEFAULT_POWER_PROFILE;
+  const profile = profiles[profileId];
+  const coefficients = { ...profile.coefficients };
+
+  for (const key of Object.keys(POWER_COEFFICIENT_FIELDS)) {
+    const value = settings && settings.coefficients ? Number(settings.coefficients[key]) : NaN;
+    if (!isNaN(value) && isFinite(value) && value >= 0) {
+      coefficients[key] = value;
+    }
+  }
+
+  const customised = Object.keys(coefficients)
+    .some(key => coefficients[key] !== profile.coefficients[key]);
+
+  return {
+    profile: profileId,
+    label: customised ? `${profile.label} (custom)` : profile.label,
+    customised,
+    coefficients
+  };
+}
+
+// Resource entries started in the last NETWORK_WINDOW_MS. Their start times are on the
+// performance clock, so `now` must be performance.now(), not Date.now().
+function recentNetworkEntries(entries, now) {
+  const windowStart = now - NETWORK_WINDOW_MS;
+  return entries.filter(entry => entry.startTime > windowStart);
+}
+
+// Network term for the requests made in the last NETWORK_WINDOW_MS
+function estimateNetworkPower(requestCount, coefficients) {
+  return (requestCount || 0) * coefficients.network;
+}
+
+// Energy (Wh) the network term charges one request over its whole window
+function requestNetworkEnergy(coefficients) {
+  return estimateNetworkPower(1, coefficients) * NETWORK_WINDOW_MS / 1000 / 3600;
+}
+
+// Power a single page draws, before any active-tab or machine-level terms
+function estimateTabPower(tab, coefficients) {
+  return coefficients.basePerTab +
+    (tab.cpu || 0) * coefficients.cpu +
+    (tab.memory || 0) * coefficients.memory +
+    estimateNetworkPower(tab.network, coefficients);
+}
+
+// Machine-level load measured by chrome.system, on top of the per-tab terms
+function estimateSystemPower(system, coefficients) {
+  if (!system) return 0;
+
+  let systemPower = 0;
+
+  if (system.cpuUsage !== null && system.cpuUsage !== undefined) {
+    systemPower += system.cpuUsage * coefficients.systemCpu;
+  }
+
+  if (system.memoryUsed !== null && system.memoryUsed !== undefined) {
+    systemPower += system.memoryUsed * coefficients.systemMemory;
+  }
+
+  return systemPower;
+}
+
+// Whole-browser estimate from aggregated tab metrics
+function estimateTotalPower(metrics, coefficients) {
+  let totalPower = 0;
+
+  // Base power per tab (idle); an empty browser still draws one tab's worth
+  totalPower += coefficients.basePerTab * Math.max(1, metrics.tabCount || 0);
+  totalPower += (metrics.cpuTotal || 0) * coefficients.cpu;
+  totalPower += (metrics.memoryTotal || 0) * coefficients.memory;
+  totalPower += estimateNetworkPower(metrics.networkTotal, coefficients);
+
+  // Add power for active tab (if we have any tabs)
+  if (metrics.tabs && metrics.tabs.length > 0) {
+    totalPower += coefficients.activeTabBoost;
+  }
+
+  totalPower += estimateSystemPower(metrics.system, coefficients);
+
+  return clampPower(totalPower);
+}
+
+// Value each coefficient multiplies in estimateTotalPower(), so power = Σ coefficient × feature
+function powerModelFeatures(metrics) {
+  const system = metrics.system || {};
+
+  return {
+    basePerTab: Math.max(1, metrics.tabCount || 0),
+    cpu: metrics.cpuTotal || 0,
+    memory: metrics.memoryTotal || 0,
+    network: metrics.networkTotal || 0,
+    activeTabBoost: metrics.tabs && metrics.tabs.length > 0 ? 1 : 0,
+    systemCpu: typeof system.cpuUsage === 'number' ? system.cpuUsage : 0,
+    systemMemory: typeof system.memoryUsed === 'number' ? system.memoryUsed : 0
+  };
+}
+
+// Coefficients the calibration wizard fits; the rest stay at the base profile's values
+const CALIBRATION_FIT_KEYS = ['basePerTab', 'cpu', 'memory', 'network'];
+
+// Least-squares fit of coefficients to wall-meter readings ({ watts, features }).
+// Coefficients that come out negative are pinned to 0 and the rest refitted.
+function fitPowerCoefficients(readings, baseCoefficients, fitKeys = CALIBRATION_FIT_KEYS) {
+  if (readings.length === 0) {
+    throw new Error('At least one reading is needed to calibrate');
+  }
+
+  const fixedKeys = Object.keys(baseCoefficients).filter(key => !fitKeys.includes(key));
+  const coefficients = { ...baseCoefficients };
+  let activeKeys = [...fitKeys];
+
+  // What the fixed terms already explain is taken off each reading first
+  const targets = readings.map(reading =>
+    reading.watts - fixedKeys.reduce(
+      (sum, key) => sum + baseCoefficients[key] * (reading.features[key] || 0), 0)
+  );
+
+  while (activeKeys.length > 0) {
+    const rows = readings.map(reading => activeKeys.map(key => reading.features[key] || 0));
+    const solution = solveLeastSquares(rows, targets);
+
+    const negativeIndex = solution.findIndex(value => value < 0);
+    if (negativeIndex === -1) {
+      activeKeys.forEach((key, index) => {
+        coefficients[key] = solution[index];
+      });
+      break;
+    }
+
+    coefficients[activeKeys[negativeIndex]] = 0;
+    activeKeys = activeKeys.filter((key, index) => index !== negativeIndex);
+  }
+
+  fitKeys.filter(key => !activeKeys.includes(key)).forEach(key => {
+    coefficients[key] = 0;
+  });
+
+  const residuals = readings.map(reading => {
+    const predicted = Object.keys(coefficients).reduce(
+      (sum, key) => sum + coefficients[key] * (reading.features[key] || 0), 0);
+    return { measured: reading.watts, predicted, error: predicted - reading.watts };
+  });
+
+  const rmse = Math.sqrt(
+    residuals.reduce((sum, residual) => sum + residual.error * residual.error, 0) / residuals.length
+  );
+  const measuredReadings = residuals.filter(residual => residual.measured > 0);
+  const meanAbsolutePercentError = measuredReadings.length > 0
+    ? measuredReadings.reduce(
+      (sum, residual) => sum + Math.abs(residual.error) / residual.measured, 0) / measuredReadings.length * 100
+    : null;
+
+  return {
+    coefficients,
+    residuals,
+    rmse,
+    meanAbsolutePercentError,
+    // With as many readings as fitted coefficients the fit is exact and the error says nothing
+    degreesOfFreedom: readings.length - activeKeys.length
+  };
+}
+
+// Solves the normal equations (XᵀX)β = Xᵀy with a tiny ridge term so
+// under-determined calibrations still return the smallest sensible answer
+function solveLeastSquares(rows, targets) {
+  const size = rows[0].length;
+  const matrix = Array.from({ length: size }, () => new Array(size).fill(0));
+  const vector = new Array(size).fill(0);
+
+  rows.forEach((row, r) => {
+    for (let i = 0; i < size; i++) {
+      vector[i] += row[i] * targets[r];
+      for (let j = 0; j < size; j++) {
+        matrix[i][j] += row[i] * row[j];
+      }
+    }
+  });
+
+  for (let i = 0; i < size; i++) {
+    matrix[i][i] += 1e-9;
+  }
+
+  // Gaussian elimination with partial pivoting
+  for (let col = 0; col < size; col++) {
+    let pivot = col;
+    for (let row = col + 1; row < size; row++) {
+      if (Math.abs(matrix[row][col]) > Math.abs(matrix[pivot][col])) {
+        pivot = row;
+      }
+    }
+    [matrix[col], matrix[pivot]] = [matrix[pivot], matrix[col]];
+    [vector[col], vector[pivot]] = [vector[pivot], vector[col]];
+
+    for (let row = col + 1; row < size; row++) {
+      const factor = matrix[row][col] / matrix[col][col];
+      for (let k = col; k < size; k++) {
+        matrix[row][k] -= factor * matrix[col][k];
+      }
+      vector[row] -= factor * vector[col];
+    }
+  }
+
+  const solution = new Array(size).fill(0);
+  for (let row = size - 1; row >= 0; row--) {
+    let sum = vector[row];
+    for (let k = row + 1; k < size; k++) {
+      sum -= matrix[row][k] * solution[k];
+    }
+    solution[row] = sum / matrix[row][row];
+  }
+
+  return solution;
+}
@@ -0,0 +1,269 @@
+// Rules that turn a page profile from content.js into optimisation findings, each with an
+// estimated energy and CO2 saving. Expects lib/power-model.js, lib/history.js and
+// lib/heap-leaks.js (fitHeapTrend) to be loaded first; the context passed in supplies the grid
+// intensity and transfer model.
+
+const COMPRESSIBLE_PATH = /\.(m?js|css|json|html?|svg|txt|xml|map)$/i;
+const COMPRESSIBLE_INITIATORS = ['script', 'link', 'css'];
+
+const RECOMMENDATION_THRESHOLDS = {
+  imageOversize: 2,            // Decoded pixels per displayed device pixel
+  imageMinBytes: 20 * 1024,    // Smaller images are not worth resizing
+  compressionRatio: 0.9,       // Encoded/decoded size above this means no compression
+  compressedShare: 0.3,        // Typical gzip/brotli size of text, as a share of the original
+  uncompressedMinBytes: 10 * 1024,
+  requestsPerMinute: 60,
+  pollingMinRequests: 5,
+  pollingMaxVariation: 0.25,   // Interval standard deviation over mean
+  heapMinSamples: 6,            // Growth threshold is HEAP_LEAK_THRESHOLDS.minGrowth
+  slowLoadMs: 3000
+};
+
+// Units a saving is counted in, in display order. Savings in different units can't be ranked
+// against each other, so findings are grouped by unit first.
+const SAVING_UNITS = {
+  'page load': 'Per page load',
+  hour: 'Per hour open'
+};
+
+// The Sustainable Web Design v4 global intensity, to turn its per-byte CO2 back into energy
+const SWD_GRID_INTENSITY = 494; // gCO2e/kWh
+
+function resourcePath(url) {
+  try {
+    return new URL(url).pathname;
+  } catch (error) {
+    return url;
+  }
+}
+
+function resourceLabel(url) {
+  try {
+    const parsed = new URL(url);
+    return `${parsed.hostname}${parsed.pathname}`;
+  } catch (error) {
+    return url;
+  }
+}
+
+function formatKilobytes(bytes) {
+  return `${(bytes / 1024).toFixed(0)} kB`;
+}
+
+// Saving from sending fewer bytes on each page load. entries are { bytes, url }, so each host's
+// green-hosting status prices its own bytes; energy doesn't depend on it, so it comes from the
+// grey-hosting figure.
+function transferSaving(entries, context) {
+  const bytes = entries.reduce((sum, entry) => sum + entry.bytes, 0);
+  const co2e = entries.reduce((sum, entry) => sum + context.transferCO2e(entry.bytes, entry.url), 0);
+  return { energy: context.transferCO2e(bytes) / SWD_GRID_INTENSITY * 1000, co2e, per: 'page load' };
+}
+
+// Saving from drawing less power for an hour
+function powerSaving(watts, context) {
+  return { energy: watts, co2e: watts / 1000 * context.intensity, per: 'hour' };
+}
+
+const RECOMMENDATION_RULES = [
+  {
+    id: 'oversized-images',
+    title: 'Serve images at the size they are shown',
+    check(profile, context) {
+      const dpr = profile.devicePixelRatio || 1;
+      const sizes = new Map(profile.resources.map(resource => [resource.name, resource]));
+      const oversized = [];
+
+      for (const image of profile.images) {
+        const shownPixels = image.displayWidth * image.displayHeight * dpr * dpr;
+        const naturalPixels = image.naturalWidth * image.naturalHeight;
+        const resource = sizes.get(image.src);
+        const bytes = resource ? resource.encodedBodySize || resource.transferSize : 0;
+
+        if (shownPixels > 0 && naturalPixels / shownPixels > RECOMMENDATION_THRESHOLDS.imageOversize &&
+            bytes >= RECOMMENDATION_THRESHOLDS.imageMinBytes) {
+          oversized.push({ image, bytes, excess: bytes * (1 - shownPixels / naturalPixels) });
+        }
+      }
+
+      if (oversized.length === 0) return null;
+
+      const excess = oversized.reduce((sum, entry) => sum + entry.excess, 0);
+      return {
+        detail: `${oversized.length} image${oversized.length === 1 ? ' is' : 's are'} decoded at more than ` +
+          `${RECOMMENDATION_THRESHOLDS.imageOversize}× the pixels shown. Resizing could save about ` +
+          `${formatKilobytes(excess)} per load.`,
+        items: oversized
+          .sort((a, b) => b.excess - a.excess)
+          .map(({ image, bytes }) =>
+            `${resourceLabel(image.src)}: ${image.naturalWidth}×${image.naturalHeight} shown at ` +
+            `${image.displayWidth}×${image.displayHeight} (${formatKilobytes(bytes)})`),
+        saving: transferSaving(oversized.map(entry => ({ bytes: entry.excess, url: entry.image.src })), context)
+      };
+    }
+  },
+  {
+    id: 'uncompressed-transfers',
+    title: 'Compress text responses',
+    check(profile, context) {
+      const uncompressed = profile.resources.filter(resource =>
+        (COMPRESSIBLE_PATH.test(resourcePath(resource.name)) ||
+          COMPRESSIBLE_INITIATORS.includes(resource.initiatorType)) &&
+        resource.decodedBodySize >= RECOMMENDATION_THRESHOLDS.uncompressedMinBytes &&
+        resource.encodedBodySize >= resource.decodedBodySize * RECOMMENDATION_THRESHOLDS.compressionRatio
+      );
+
+      if (uncompressed.length === 0) return null;
+
+      const excess = uncompressed.reduce((sum, resource) =>
+        sum + resource.encodedBodySize * (1 - RECOMMENDATION_THRESHOLDS.compressedShare), 0);
+      return {
+        detail: `${uncompressed.length} text response${uncompressed.length === 1 ? ' arrives' : 's arrive'} ` +
+          `uncompressed. Gzip or Brotli could save about ${formatKilobytes(excess)} per load.`,
+        items: uncompressed
+          .sort((a, b) => b.decodedBodySize - a.decodedBodySize)
+          .map(resource => `${resourceLabel(resource.name)} (${formatKilobytes(resource.decodedBodySize)})`),
+        saving: transferSaving(uncompressed.map(resource => ({
+          bytes: resource.encodedBodySize * (1 - RECOMMENDATION_THRESHOLDS.compressedShare),
+          url: resource.name
+        })), context)
+      };
+    }
+  },
+  {
+    id: 'request-rate',
+    title: 'Make fewer requests',
+    check(profile, context) {
+      const recent = recentNetworkEntries(profile.resources, profile.now).length;
+      const excess = recent - RECOMMENDATION_THRESHOLDS.requestsPerMinute;
+
+      if (excess <= 0) return null;
+
+      return {
+        detail: `${recent} requests in the last minute. Every request adds to the network power ` +
+          `term; batching or caching the ${excess} above ${RECOMMENDATION_THRESHOLDS.requestsPerMinute} ` +
+          'would lower it.',
+        items: [],
+        saving: powerSaving(estimateNetworkPower(excess, context.coefficients), context)
+      };
+    }
+  },
+  {
+    id: 'polling',
+    title: 'Replace polling with push updates',
+    check(profile, context) {
+      const byUrl = new Map();
+      for (const resource of profile.resources) {
+        if (!['fetch', 'xmlhttprequest'].includes(resource.initiatorType)) continue;
+        const key = resource.name.split('?')[0];
+        byUrl.set(key, [...(byUrl.get(key) || []), resource]);
+      }
+
+      const polled = [];
+      for (const [url, requests] of byUrl) {
+        if (requests.length < RECOMMENDATION_THRESHOLDS.pollingMinRequests) continue;
+
+        const starts = requests.map(request => request.startTime).sort((a, b) => a - b);
+        const intervals = starts.slice(1).map((start, index) => start - starts[index]);
+        const mean = intervals.reduce((sum, interval) => sum + interval, 0) / intervals.length;
+        const deviation = Math.sqrt(
+          intervals.reduce((sum, interval) => sum + (interval - mean) ** 2, 0) / intervals.length);
+
+        if (mean > 0 && deviation / mean <= RECOMMENDATION_THRESHOLDS.pollingMaxVariation) {
+          const bytes = requests.reduce((sum, request) => sum + request.transferSize, 0) / requests.length;
+          polled.push({ url, interval: mean / 1000, bytes });
+        }
+      }
+
+      if (polled.length === 0) return null;
+
+      // Each poll keeps the network term raised for a full window and transfers its response again
+      const requestsPerHour = polled.reduce((sum, entry) => sum + 3600 / entry.interval, 0);
+      const transfer = transferSaving(polled.map(entry => ({
+        bytes: 3600 / entry.interval * entry.bytes,
+        url: entry.url
+      })), context);
+      const energy = requestsPerHour * requestNetworkEnergy(context.coefficients) + transfer.energy;
+
+      return {
+        detail: `${polled.length} endpoint${polled.length === 1 ? ' is' : 's are'} requested on a fixed ` +
+          `interval, ${Math.round(requestsPerHour)} requests an hour in all.`,
+        items: polled.map(entry =>
+          `${resourceLabel(entry.url)} every ${entry.interval.toFixed(1)} s (${formatKilobytes(entry.bytes)} each)`),
+        saving: {
+          energy,
+          co2e: requestsPerHour * requestNetworkEnergy(context.coefficients) / 1000 * context.intensity +
+            transfer.co2e,
+          per: 'hour'
+        }
+      };
+    }
+  },
+  {
+    id: 'growing-heap',
+    title: 'Find what keeps growing the JavaScript heap',
+    check(profile, context) {
+      const samples = profile.memory;
+      if (samples.length < RECOMMENDATION_THRESHOLDS.heapMinSamples) return null;
+
+      const trend = fitHeapTrend(samples.map(sample => ({
+        timestamp: sample.timestamp,
+        heapMB: sample.usedJSHeapSize / 1024 / 1024
+      })));
+      if (!trend || trend.slope < HEAP_LEAK_THRESHOLDS.minGrowth) return null;
+
+      const growth = trend.slope; // MB per minute
+      const spanSeconds = (samples[samples.length - 1].timestamp - samples[0].timestamp) / 1000;
+
+      // Left alone the heap keeps growing, so over the next hour it averages half the hour's growth
+      return {
+        detail: `The heap grew by ${growth.toFixed(2)} MB a minute over the last ` +
+          `${spanSeconds >= 120 ? `${Math.round(spanSeconds / 60)} minutes` : `${Math.round(spanSeconds)} seconds`}. ` +
+          'Steady growth usually means a leak.',
+        items: [],
+        saving: powerSaving(growth * 60 / 2 * context.coefficients.memory, context)
+      };
+    }
+  },
+  {
+    id: 'slow-load',
+    title: 'Shorten page load',
+    check(profile, context) {
+      const loadTime = profile.timings.loadTime;
+      if (!(loadTime > RECOMMENDATION_THRESHOLDS.slowLoadMs)) return null;
+
+      const excessSeconds = (loadTime - RECOMMENDATION_THRESHOLDS.slowLoadMs) / 1000;
+      const energy = profile.power * excessSeconds / 3600;
+
+      return {
+        detail: `The page took ${(loadTime / 1000).toFixed(1)} s to load ` +
+          `(DOM ready after ${(profile.timings.domReady / 1000).toFixed(1)} s). Each second over ` +
+          `${RECOMMENDATION_THRESHOLDS.slowLoadMs / 1000} s keeps the device busy at about ` +
+          `${profile.power.toFixed(2)} W.`,
+        items: [],
+        saving: { energy, co2e: energy / 1000 * context.intensity, per: 'page load' }
+      };
+    }
+  }
+];
+
+// Findings for one page profile, grouped by SAVING_UNITS and largest CO2 saving first in each.
+// context is { coefficients, intensity (gCO2e/kWh), transferCO2e(bytes, url) }, where
+// transferCO2e prices bytes from url's host, or at the grey-hosting rate without a url
+function analyzePageProfile(profile, context) {
+  const findings = [];
+
+  for (const rule of RECOMMENDATION_RULES) {
+    try {
+      const finding = rule.check(profile, context);
+      if (finding) {
+        findings.push({ rule: rule.id, title: rule.title, ...finding });
+      }
+    } catch (error) {
+      console.error(`Recommendation rule ${rule.id} failed:`, error);
+    }
+  }
+
+  const units = Object.keys(SAVING_UNITS);
+  return findings.sort((a, b) =>
+    units.indexOf(a.saving.per) - units.indexOf(b.saving.per) || b.saving.co2e - a.saving.co2e);
+}
@@ -0,0 +1,86 @@
+// Page weight by resource type, shared by content.js (classification) and the service worker
+// (transfer emissions per type)
+
+// In display order; colours are used for the popup's stacked bar
+const RESOURCE_TYPES = {
+  document: { label: 'Document', color: '#90caf9' },
+  script: { label: 'Scripts', color: '#ffb74d' },
+  css: { label: 'Stylesheets', color: '#ce93d8' },
+  font: { label: 'Fonts', color: '#f48fb1' },
+  img: { label: 'Images', color: '#81c784' },
+  media: { label: 'Media', color: '#4dd0e1' },
+  fetch: { label: 'Fetch/XHR', color: '#fff176' },
+  iframe: { label: 'Frames', color: '#bcaaa4' },
+  other: { label: 'Other', color: '#b0bec5' }
+};
+
+const FONT_PATH = /\.(woff2?|ttf|otf|eot)$/i;
+const STYLESHEET_PATH = /\.css$/i;
+const SCRIPT_PATH = /\.m?js$/i;
+const IMAGE_PATH = /\.(png|jpe?g|gif|webp|avif|svg|ico|bmp)$/i;
+const MEDIA_PATH = /\.(mp4|webm|ogg|mp3|m4a|wav|m3u8|mpd|vtt)$/i;
+
+const INITIATOR_TYPES = {
+  navigation: 'document',
+  script: 'script',
+  img: 'img',
+  image: 'img',
+  input: 'img',
+  video: 'media',
+  audio: 'media',
+  track: 'media',
+  fetch: 'fetch',
+  xmlhttprequest: 'fetch',
+  beacon: 'fetch',
+  iframe: 'iframe',
+  frame: 'iframe',
+  subdocument: 'iframe'
+};
+
+// Type of one resource timing entry. initiatorType says who asked for it, so requests made
+// from CSS or a <link> are told apart by their file extension.
+function classifyResource(entry) {
+  let path = '';
+  try {
+    path = new URL(entry.name).pathname;
+  } catch (error) {
+    // Keep the empty path
+  }
+
+  if (FONT_PATH.test(path)) return 'font';
+
+  const byInitiator = INITIATOR_TYPES[entry.initiatorType];
+  if (byInitiator) return byInitiator;
+
+  if (STYLESHEET_PATH.test(path)) return 'css';
+  if (SCRIPT_PATH.test(path)) return 'script';
+  if (IMAGE_PATH.test(path)) return 'img';
+  if (MEDIA_PATH.test(path)) return 'media';
+  return 'other';
+}
+
+function addResourceToTotals(totals, type, entry) {
+  const row = totals[type] || (totals[type] = { requests: 0, transferBytes: 0, decodedBytes: 0 });
+  row.requests++;
+  row.transferBytes += entry.transferSize || 0;
+  row.decodedBytes += entry.decodedBodySize || 0;
+  return totals;
+}
+
+// Rows for every type with requests, in RESOURCE_TYPES order, with each type's share of the
+// page's transfer bytes and transferCO2e(bytes) for its emissions
+function summarizeResourceTypes(totals, transferCO2e) {
+  const pageBytes = Object.values(totals).reduce((sum, row) => sum + row.transferBytes, 0);
+
+  return Object.keys(RESOURCE_TYPES)
+    .filter(type => totals[type] && totals[type].requests > 0)
+    .map(type => ({
+      type,
+      label: RESOURCE_TYPES[type].label,
+      requests: totals[type].requests,
+      transferBytes: totals[type].transferBytes,
+      decodedBytes: totals[type].decodedBytes,
+      transferCO2e: transferCO2e(totals[type].transferBytes),
+      share: pageBytes > 0 ? totals[type].transferBytes / pageBytes : 0
+    }));
+}
@@ -0,0 +1,212 @@
+// Per-minute, per-hour and per-day totals for each domain, rolled up from raw samples
+// so long time ranges stay cheap to query after the raw samples have been pruned.
+// Expects lib/session-store.js to be loaded for the IndexedDB side.
+
+const ROLLUP_TIERS = {
+  minute: { label: 'Per minute', retentionField: 'minuteDays' },
+  hour: { label: 'Per hour', retentionField: 'hourDays' },
+  day: { label: 'Per day', retentionField: 'dayDays' }
+};
+
+// Samples taken before attribution existed, or while no tab was measured
+const UNATTRIBUTED_DOMAIN = '(unattributed)';
+
+// Row holding each bucket's totals across all domains
+const ALL_DOMAINS = '*';
+
+// Samples rolled up per pass, to keep each transaction small
+const ROLLUP_BATCH_SIZE = 2000;
+
+// Start of the local minute, hour or day a timestamp falls in
+function rollupBucketStart(tier, timestamp) {
+  const date = new Date(timestamp);
+
+  if (tier === 'day') {
+    date.setHours(0, 0, 0, 0);
+  } else if (tier === 'hour') {
+    date.setMinutes(0, 0, 0);
+  } else {
+    date.setSeconds(0, 0);
+  }
+
+  return date.getTime();
+}
+
+function createRollup(tier, start, domain) {
+  return { tier, start, domain, energy: 0, co2e: 0, transferBytes: 0, transferCO2e: 0, seconds: 0, samples: 0 };
+}
+
+function addRollupTotals(target, totals) {
+  target.energy += totals.energy;
+  target.co2e += totals.co2e;
+  target.transferBytes += totals.transferBytes;
+  target.transferCO2e += totals.transferCO2e;
+  target.seconds += totals.seconds;
+  target.samples += totals.samples;
+  return target;
+}
+
+// One sample's totals per domain; several tabs on a domain count as one presence
+function sampleDomainTotals(sample) {
+  const shares = sample.attribution && sample.attribution.length > 0
+    ? sample.attribution
+    : [{ ...sample, domain: UNATTRIBUTED_DOMAIN }];
+  const domains = new Map();
+
+  for (const share of shares) {
+    const totals = domains.get(share.domain) ||
+      { energy: 0, co2e: 0, transferBytes: 0, transferCO2e: 0, seconds: sample.duration || 1, samples: 1 };
+    totals.energy += share.energy || 0;
+    totals.co2e += share.co2e || 0;
+    totals.transferBytes += share.transferBytes || 0;
+    totals.transferCO2e += share.transferCO2e || 0;
+    domains.set(share.domain, totals);
+  }
+
+  return domains;
+}
+
+// Folds samples into rollup rows for every tier, one row per tier, bucket and domain
+function rollUpSamples(samples) {
+  const rows = new Map();
+
+  for (const sample of samples) {
+    const domains = sampleDomainTotals(sample);
+    domains.set(ALL_DOMAINS, {
+      energy: sample.energy || 0,
+      co2e: sample.co2e || 0,
+      transferBytes: sample.transferBytes || 0,
+      transferCO2e: sample.transferCO2e || 0,
+      seconds: sample.duration || 1,
+      samples: 1
+    });
+
+    for (const tier of Object.keys(ROLLUP_TIERS)) {
+      const start = rollupBucketStart(tier, sample.timestamp);
+
+      for (const [domain, totals] of domains) {
+        const key = `${tier}|${start}|${domain}`;
+        const row = rows.get(key) || createRollup(tier, start, domain);
+        rows.set(key, addRollupTotals(row, totals));
+      }
+    }
+  }
+
+  return [...rows.values()];
+}
+
+// Milliseconds a retention field keeps data for, or null for forever
+function retentionMs(retention, field) {
+  const value = retention[field];
+  if (!value) return null;
+  return value * (field === 'rawHours' ? 3600 : 86400) * 1000;
+}
+
+// The finest tier still holding data from `startTime`
+function pickRollupTier(startTime, retention, now = Date.now()) {
+  for (const tier of ['minute', 'hour']) {
+    const keep = retentionMs(retention, ROLLUP_TIERS[tier].retentionField);
+    if (keep === null || startTime >= now - keep) {
+      return tier;
+    }
+  }
+  return 'day';
+}
+
+// Totals per domain across the buckets of a range, highest energy first
+function groupRollupsByDomain(rows) {
+  const groups = new Map();
+
+  for (const row of rows) {
+    const group = groups.get(row.domain) || createRollup(row.tier, null, row.domain);
+    groups.set(row.domain, addRollupTotals(group, row));
+  }
+
+  return [...groups.values()].sort((a, b) => b.energy - a.energy);
+}
+
+// Rolls new samples up from a stored watermark and prunes each tier to its retention
+class RollupService {
+  constructor(store) {
+    this.store = store;
+    this.retention = {};
+    this.pending = null;
+  }
+
+  setRetention(retention) {
+    this.retention = retention;
+  }
+
+  // Rolls up every sample newer than the watermark. Concurrent callers share one pass
+  // so no sample is counted twice.
+  rollUp() {
+    if (!this.pending) {
+      this.pending = this.rollUpPending().finally(() => {
+        this.pending = null;
+      });
+    }
+    return this.pending;
+  }
+
+  async rollUpPending() {
+    let watermark = (await this.store.getMeta('rollupWatermark')) || (await this.legacyWatermark());
+
+    for (;;) {
+      const { samples, position } = await this.store.getSamplesAfter(watermark, ROLLUP_BATCH_SIZE);
+      if (samples.length === 0) break;
+
+      await this.store.mergeRollups(rollUpSamples(samples), position);
+      watermark = position;
+
+      if (samples.length < ROLLUP_BATCH_SIZE) break;
+    }
+  }
+
+  // The watermark used to be a timestamp in chrome.storage, with every sample up to and
+  // including it rolled up
+  async legacyWatermark() {
+    const { rollupWatermark } = await chrome.storage.local.get('rollupWatermark');
+    return rollupWatermark ? { timestamp: rollupWatermark, id: Infinity } : { timestamp: 0, id: 0 };
+  }
+
+  // Raw samples are only pruned once rolled up, so nothing is lost between passes
+  async compact(now = Date.now()) {
+    await this.rollUp();
+
+    const rawKeep = retentionMs(this.retention, 'rawHours');
+    if (rawKeep !== null) {
+      await this.store.deleteSamplesBefore(now - rawKeep);
+    }
+
+    for (const [tier, definition] of Object.entries(ROLLUP_TIERS)) {
+      const keep = retentionMs(this.retention, definition.retentionField);
+      if (keep !== null) {
+        await this.store.deleteRollupsBefore(tier, rollupBucketStart(tier, now - keep));
+      }
+    }
+  }
+
+  // Rows for a time range, oldest first. With a domain, that domain's row per bucket;
+  // without, one row per bucket and domain, or with groupBy 'bucket' the totals across
+  // domains per bucket, or with groupBy 'domain' one row per domain for the whole range.
+  // Tier 'auto' (the default) picks the finest tier still covering startTime.
+  async query({ tier = 'auto', startTime = 0, endTime = Date.now(), domain = null, groupBy = null } = {}) {
+    const resolvedTier = tier === 'auto' ? pickRollupTier(startTime, this.retention) : tier;
+    if (!ROLLUP_TIERS[resolvedTier]) {
+      throw new Error(`Unknown rollup tier: ${tier}`);
+    }
+
+    await this.rollUp();
+
+    const rangeStart = rollupBucketStart(resolvedTier, startTime);
+
+    if (domain || groupBy === 'bucket') {
+      const rows = await this.store.getRollups(resolvedTier, rangeStart, endTime, domain || ALL_DOMAINS);
+      return { tier: resolvedTier, rows };
+    }
+
+    const rows = (await this.store.getRollups(resolvedTier, rangeStart, endTime, null))
+      .filter(row => row.domain !== ALL_DOMAINS);
+    return { tier: resolvedTier, rows: groupBy === 'domain' ? groupRollupsByDomain(rows) : rows };
+  }
+}
@@ -0,0 +1,188 @@
+// Versioned export format for profiling sessions, shared by the service worker and extension pages
+
+const SESSION_EXPORT_SCHEMA = 'emissions-profiler/session';
+const SESSION_EXPORT_VERSION = 1;
+
+const SESSION_CSV_COLUMNS = [
+  'timestamp',
+  'duration',
+  'power',
+  'energy',
+  'co2e',
+  'cpuTotal',
+  'memoryTotal',
+  'networkTotal',
+  'tabCount'
+];
+
+function buildSessionExport({ session, summary, samples, settings, attribution, userTimings, heapLeaks, generator }) {
+  return {
+    schema: SESSION_EXPORT_SCHEMA,
+    schemaVersion: SESSION_EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    generator,
+    units: {
+      timestamp: 'ms since Unix epoch',
+      duration: 's',
+      power: 'W',
+      energy: 'Wh',
+      measureDuration: 'ms',
+      heapGrowth: 'MB/min',
+      co2e: 'gCO2e',
+      co2Intensity: 'gCO2e/kWh',
+      memory: 'MB',
+      network: 'requests in the last minute',
+      transferBytes: 'bytes',
+      transferCO2e: 'gCO2e'
+    },
+    settings,
+    session: {
+      id: session.id,
+      startTime: session.startTime,
+      endTime: session.endTime || null,
+      co2Intensity: session.co2Intensity
+    },
+    summary,
+    attribution,
+    // performance.measure() costs from the profiled pages, and their marks
+    userTimings,
+    // Tabs whose JS heap kept growing while the session ran
+    heapLeaks: heapLeaks || [],
+    // Stored samples carry their session key; the export is already scoped to one session
+    samples: samples.map(({ sessionId, ...sample }) => sample)
+  };
+}
+
+function sessionExportToCSV(data) {
+  const rows = [SESSION_CSV_COLUMNS.join(',')];
+
+  for (const sample of data.samples || []) {
+    const metrics = sample.metrics || {};
+    const values = [
+      new Date(sample.timestamp).toISOString(),
+      sample.duration,
+      sample.power,
+      sample.energy,
+      sample.co2e,
+      metrics.cpuTotal,
+      metrics.memoryTotal,
+      metrics.networkTotal,
+      metrics.tabCount
+    ];
+
+    rows.push(values.map(value => (value === undefined || value === null ? '' : value)).join(','));
+  }
+
+  return rows.join('\n') + '\n';
+}
+
+function sessionExportFileName(data, extension) {
+  const started = new Date(data.session.startTime).toISOString().replace(/[:.]/g, '-');
+  return `emissions-session-${started}.${extension}`;
+}
+
+// Median gap between samples in seconds, for CSV exports made before the duration column.
+// The median skips the gaps left while the service worker was suspended.
+function medianSampleGap(samples) {
+  const gaps = samples.slice(1)
+    .map((sample, index) => (sample.timestamp - samples[index].timestamp) / 1000)
+    .filter(gap => gap > 0)
+    .sort((a, b) => a - b);
+  return gaps.length > 0 ? gaps[Math.floor(gaps.length / 2)] : null;
+}
+
+// Reads a JSON export or a CSV export back into the export shape. CSV rows must match the header
+// and have a timestamp, power, energy and CO2 value; other empty cells are left undefined.
+function parseSessionFile(text, fileName = 'imported session') {
+  const trimmed = text.trim();
+
+  if (trimmed.startsWith('{')) {
+    const data = JSON.parse(trimmed);
+    if (data.schema !== SESSION_EXPORT_SCHEMA) {
+      throw new Error(`${fileName} is not an Emissions Profiler session export`);
+    }
+    if (data.schemaVersion > SESSION_EXPORT_VERSION) {
+      throw new Error(`${fileName} uses schema version ${data.schemaVersion}, newer than this extension supports`);
+    }
+    return data;
+  }
+
+  const [header, ...lines] = trimmed.split(/\r?\n/);
+  const columns = header.split(',');
+  const missing = SESSION_CSV_COLUMNS.filter(column => column !== 'duration' && !columns.includes(column));
+  if (missing.length > 0) {
+    throw new Error(`${fileName} is missing CSV columns: ${missing.join(', ')}`);
+  }
+
+  const samples = [];
+  lines.forEach((line, index) => {
+    if (!line) return;
+
+    // Line numbers count the header as line 1
+    const lineNumber = index + 2;
+    const values = line.split(',');
+    if (values.length !== columns.length) {
+      throw new Error(`${fileName} line ${lineNumber} has ${values.length} CSV columns, expected ${columns.length}`);
+    }
+
+    const row = {};
+    columns.forEach((column, columnIndex) => {
+      row[column] = values[columnIndex].trim();
+    });
+
+    // Empty optional cells stay undefined rather than reading as 0
+    const cell = (column, required) => {
+      if (!row[column] && !required) return undefined;
+      const value = Number(row[column]);
+      if (!row[column] || !Number.isFinite(value)) {
+        throw new Error(`${fileName} line ${lineNumber} has a non-numeric ${column}: "${row[column] || ''}"`);
+      }
+      return value;
+    };
+
+    const timestamp = Date.parse(row.timestamp);
+    if (Number.isNaN(timestamp)) {
+      throw new Error(`${fileName} line ${lineNumber} has an invalid timestamp: "${row.timestamp}"`);
+    }
+
+    const sample = {
+      timestamp,
+      power: cell('power', true),
+      energy: cell('energy', true),
+      co2e: cell('co2e', true),
+      metrics: {
+        cpuTotal: cell('cpuTotal'),
+        memoryTotal: cell('memoryTotal'),
+        networkTotal: cell('networkTotal'),
+        tabCount: cell('tabCount')
+      }
+    };
+    const duration = columns.includes('duration') ? cell('duration') : undefined;
+    if (duration > 0) {
+      sample.duration = duration;
+    }
+    samples.push(sample);
+  });
+
+  // Exports from before the duration column
+  const gap = medianSampleGap(samples);
+  if (gap) {
+    samples.filter(sample => !sample.duration).forEach(sample => {
+      sample.duration = gap;
+    });
+  }
+
+  const startTime = samples.length > 0 ? samples[0].timestamp : Date.now();
+
+  return {
+    schema: SESSION_EXPORT_SCHEMA,
+    schemaVersion: SESSION_EXPORT_VERSION,
+    session: {
+      id: fileName,
+      startTime,
+      endTime: samples.length > 0 ? samples[samples.length - 1].timestamp : startTime,
+      co2Intensity: null
+    },
+    samples
+  };
+}
@@ -0,0 +1,229 @@
+// IndexedDB persistence for profiling sessions, their samples and the rollups made from them
+
+class SessionStore {
+  constructor(dbName = 'emissionsProfiler') {
+    this.dbName = dbName;
+    this.version = 3;
+    this.db = null;
+  }
+
+  open() {
+    if (this.db) return Promise.resolve(this.db);
+
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.open(this.dbName, this.version);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+
+        if (!db.objectStoreNames.contains('sessions')) {
+          db.createObjectStore('sessions', { keyPath: 'id' });
+        }
+
+        const samples = db.objectStoreNames.contains('samples')
+          ? request.transaction.objectStore('samples')
+          : db.createObjectStore('samples', { autoIncrement: true });
+        if (!samples.indexNames.contains('bySession')) {
+          samples.createIndex('bySession', ['sessionId', 'timestamp']);
+        }
+        // Version 2: rollups read samples in time order across sessions
+        if (!samples.indexNames.contains('byTime')) {
+          samples.createIndex('byTime', 'timestamp');
+        }
+
+        if (!db.objectStoreNames.contains('rollups')) {
+          const rollups = db.createObjectStore('rollups', { keyPath: ['tier', 'domain', 'start'] });
+          rollups.createIndex('byTierStart', ['tier', 'start']);
+        }
+
+        // Version 3: the rollup watermark, kept next to the rollups it covers
+        if (!db.objectStoreNames.contains('meta')) {
+          db.createObjectStore('meta');
+        }
+      };
+
+      request.onsuccess = () => {
+        this.db = request.result;
+
+        // Drop the cached handle if the browser closes the connection
+        this.db.onclose = () => {
+          this.db = null;
+        };
+
+        resolve(this.db);
+      };
+
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  async transaction(storeNames, mode, callback) {
+    const db = await this.open();
+
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(storeNames, mode);
+      let result;
+
+      tx.oncomplete = () => resolve(result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+
+      const request = callback(tx);
+      if (request) {
+        request.onsuccess = () => {
+          result = request.result;
+        };
+      }
+    });
+  }
+
+  saveSession(session) {
+    return this.transaction('sessions', 'readwrite', tx =>
+      tx.objectStore('sessions').put(session)
+    );
+  }
+
+  getSession(id) {
+    return this.transaction('sessions', 'readonly', tx =>
+      tx.objectStore('sessions').get(id)
+    );
+  }
+
+  listSessions() {
+    return this.transaction('sessions', 'readonly', tx =>
+      tx.objectStore('sessions').getAll()
+    );
+  }
+
+  addSample(sessionId, sample) {
+    return this.transaction('samples', 'readwrite', tx =>
+      tx.objectStore('samples').add({ ...sample, sessionId })
+    );
+  }
+
+  // Returns the most recent `limit` samples of a session, oldest first
+  getSamples(sessionId, limit = Infinity) {
+    const range = IDBKeyRange.bound([sessionId, 0], [sessionId, Infinity]);
+    const samples = [];
+
+    return this.transaction('samples', 'readonly', tx => {
+      const request = tx.objectStore('samples').index('bySession').openCursor(range, 'prev');
+
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (cursor && samples.length < limit) {
+          samples.push(cursor.value);
+          cursor.continue();
+        }
+      };
+    }).then(() => samples.reverse());
+  }
+
+  getSamplesInRange(sessionId, startTime, endTime) {
+    const range = IDBKeyRange.bound([sessionId, startTime], [sessionId, endTime]);
+
+    return this.transaction('samples', 'readonly', tx =>
+      tx.objectStore('samples').index('bySession').getAll(range)
+    );
+  }
+
+  getMeta(key) {
+    return this.transaction('meta', 'readonly', tx =>
+      tx.objectStore('meta').get(key)
+    );
+  }
+
+  // Up to `limit` samples of any session after `position` ({ timestamp, id }), oldest first,
+  // with the position of the last one. Samples sharing a timestamp are ordered by key, so a
+  // batch ending among them doesn't skip the rest.
+  getSamplesAfter(position, limit) {
+    const samples = [];
+    let last = position;
+
+    return this.transaction('samples', 'readonly', tx => {
+      const request = tx.objectStore('samples').index('byTime').openCursor(IDBKeyRange.lowerBound(position.timestamp));
+
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor || samples.length >= limit) return;
+
+        if (cursor.key > position.timestamp || cursor.primaryKey > position.id) {
+          samples.push(cursor.value);
+          last = { timestamp: cursor.key, id: cursor.primaryKey };
+        }
+        cursor.continue();
+      };
+    }).then(() => ({ samples, position: last }));
+  }
+
+  deleteSamplesBefore(timestamp) {
+    return this.transaction('samples', 'readwrite', tx => {
+      const request = tx.objectStore('samples').index('byTime').openCursor(IDBKeyRange.upperBound(timestamp, true));
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (cursor) {
+          cursor.delete();
+          cursor.continue();
+        }
+      };
+    });
+  }
+
+  // Adds each row's totals to the stored row with the same tier, domain and start, and moves
+  // the rollup watermark in the same transaction so a batch is never merged twice
+  mergeRollups(rows, watermark) {
+    return this.transaction(['rollups', 'meta'], 'readwrite', tx => {
+      const store = tx.objectStore('rollups');
+
+      rows.forEach(row => {
+        const request = store.get([row.tier, row.domain, row.start]);
+        request.onsuccess = () => {
+          store.put(request.result ? addRollupTotals(request.result, row) : row);
+        };
+      });
+
+      tx.objectStore('meta').put(watermark, 'rollupWatermark');
+    });
+  }
+
+  // Rows of a tier with start in [startTime, endTime], for one domain or all of them
+  getRollups(tier, startTime, endTime, domain) {
+    return this.transaction('rollups', 'readonly', tx => {
+      const store = tx.objectStore('rollups');
+      return domain
+        ? store.getAll(IDBKeyRange.bound([tier, domain, startTime], [tier, domain, endTime]))
+        : store.index('byTierStart').getAll(IDBKeyRange.bound([tier, startTime], [tier, endTime]));
+    });
+  }
+
+  deleteRollupsBefore(tier, timestamp) {
+    return this.transaction('rollups', 'readwrite', tx => {
+      const range = IDBKeyRange.bound([tier, -Infinity], [tier, timestamp], false, true);
+      const request = tx.objectStore('rollups').index('byTierStart').openCursor(range);
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (cursor) {
+          cursor.delete();
+          cursor.continue();
+        }
+      };
+    });
+  }
+
+  deleteSession(sessionId) {
+    const range = IDBKeyRange.bound([sessionId, 0], [sessionId, Infinity]);
+
+    return this.transaction(['sessions', 'samples'], 'readwrite', tx => {
+      tx.objectStore('sessions').delete(sessionId);
+
+      const request = tx.objectStore('samples').index('bySession').openCursor(range);
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (cursor) {
+          cursor.delete();
+          cursor.continue();
+        }
+      };
+    });
+  }
+}
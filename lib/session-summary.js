@@ -0,0 +1,119 @@
+// Summary maths shared by the service worker and the session comparison page.
+// Expects lib/power-model.js and lib/carbon-intensity.js to be loaded first.
+
+function clampNumber(value, min, max) {
+  const num = Number(value);
+  if (isNaN(num) || !isFinite(num)) {
+    return min;
+  }
+  return Math.max(min, Math.min(max, num));
+}
+
+function isValidSample(sample) {
+  return clampPower(sample.power) > 0 &&
+    !isNaN(sample.energy) &&
+    !isNaN(sample.co2e);
+}
+
+// Samples from before the sampling interval setting stand for one second each
+function sampleSeconds(samples) {
+  return samples.reduce((seconds, sample) => seconds + (sample.duration || 1), 0);
+}
+
+function sumSamples(samples) {
+  return samples.reduce((totals, sample) => {
+    totals.totalEnergy += clampNumber(sample.energy, 0, 100);
+    totals.totalCO2e += clampNumber(sample.co2e, 0, 1000);
+    totals.totalTransferBytes += sample.transferBytes || 0;
+    totals.totalTransferCO2e += sample.transferCO2e || 0;
+    return totals;
+  }, { totalEnergy: 0, totalCO2e: 0, totalTransferBytes: 0, totalTransferCO2e: 0 });
+}
+
+// Totals for a list of samples, as reported by getSummary()
+function summarizeSamples(samples) {
+  const validSamples = samples.filter(isValidSample);
+
+  if (validSamples.length === 0) {
+    return {
+      totalEnergy: 0,
+      totalCO2e: 0,
+      totalTransferBytes: 0,
+      totalTransferCO2e: 0,
+      avgPower: 0,
+      effectiveCO2Intensity: null,
+      duration: 0,
+      sampleCount: 0
+    };
+  }
+
+  const totals = sumSamples(validSamples);
+  const avgPower = totals.totalEnergy / (sampleSeconds(validSamples) / 3600);
+  const duration =
+    (validSamples[validSamples.length - 1].timestamp - validSamples[0].timestamp) / 1000;
+
+  return {
+    ...totals,
+    avgPower: clampPower(avgPower),
+    effectiveCO2Intensity: effectiveCO2Intensity(totals.totalEnergy, totals.totalCO2e),
+    duration,
+    sampleCount: validSamples.length
+  };
+}
+
+// Totals for the samples inside [startTime, endTime], as reported by getRangeSummary()
+function summarizeRange(samples, startTime, endTime) {
+  const rangeSamples = samples.filter(sample =>
+    sample.timestamp >= startTime &&
+    sample.timestamp <= endTime &&
+    clampPower(sample.power) > 0
+  );
+
+  const rangeDuration = (endTime - startTime) / 1000;
+
+  if (rangeSamples.length === 0) {
+    return {
+      totalEnergy: 0,
+      totalCO2e: 0,
+      totalTransferBytes: 0,
+      totalTransferCO2e: 0,
+      avgPower: 0,
+      effectiveCO2Intensity: null,
+      rangeDuration,
+      sampleSeconds: 0,
+      sampleCount: 0
+    };
+  }
+
+  const totals = sumSamples(rangeSamples);
+  const avgPower = rangeDuration > 0 ?
+    totals.totalEnergy / (rangeDuration / 3600) : 0;
+
+  return {
+    ...totals,
+    avgPower: clampPower(avgPower),
+    effectiveCO2Intensity: effectiveCO2Intensity(totals.totalEnergy, totals.totalCO2e),
+    rangeDuration,
+    sampleSeconds: sampleSeconds(rangeSamples), // Time the counted samples stand for
+    sampleCount: rangeSamples.length
+  };
+}
+
+// Totals per User Timing measure name, costliest first
+function summarizeMeasures(measures) {
+  const byName = new Map();
+
+  for (const measure of measures || []) {
+    const entry = byName.get(measure.name) ||
+      { name: measure.name, count: 0, duration: 0, energy: 0, co2e: 0, pageEnergy: 0, pageCO2e: 0 };
+    entry.count++;
+    entry.duration += measure.duration;
+    entry.energy += measure.energy;
+    entry.co2e += measure.co2e;
+    entry.pageEnergy += measure.pageEnergy;
+    entry.pageCO2e += measure.pageCO2e;
+    byName.set(measure.name, entry);
+  }
+
+  return [...byName.values()].sort((a, b) => b.energy - a.energy);
+}
@@ -0,0 +1,323 @@
+// Settings schema for the options page, popup, service worker and content scripts.
+// Each setting lives under its own chrome.storage.local key. validate() turns a stored or
+// edited value into a clean one plus errors for the form; undefined yields the default, so
+// removing a key resets it. Validators call into the other lib/ files, which pages load first.
+
+const SAMPLING_FIELDS = {
+  intervalSeconds: { label: 'Sampling interval', min: 1, max: 60, integer: true, default: 1 },
+  historySize: { label: 'Chart history', min: 60, max: 10000, integer: true, default: 1000 },
+  sampleWindow: { label: 'Sample window', min: 60, max: 86400, integer: true, default: 3600 }
+};
+
+const PRIVACY_FIELDS = {
+  retentionDays: { label: 'Session retention', min: 0, max: 3650, integer: true, default: 0 }
+};
+
+// How long the store keeps raw samples and each rollup tier; 0 keeps them forever
+const RETENTION_FIELDS = {
+  rawHours: { label: 'Raw samples', min: 0, max: 8760, integer: true, default: 24 },
+  minuteDays: { label: 'Per-minute totals', min: 0, max: 3650, integer: true, default: 30 },
+  hourDays: { label: 'Per-hour totals', min: 0, max: 3650, integer: true, default: 365 },
+  dayDays: { label: 'Per-day totals', min: 0, max: 36500, integer: true, default: 0 }
+};
+
+// Factors to the unit the profiler computes in: W, Wh and gCO2e
+const DISPLAY_UNITS = {
+  power: {
+    mW: { label: 'mW', factor: 0.001 },
+    W: { label: 'W', factor: 1 },
+    kW: { label: 'kW', factor: 1000 }
+  },
+  energy: {
+    J: { label: 'J', factor: 1 / 3600 },
+    mWh: { label: 'mWh', factor: 0.001 },
+    Wh: { label: 'Wh', factor: 1 },
+    kWh: { label: 'kWh', factor: 1000 }
+  },
+  co2: {
+    mg: { label: 'mgCO₂e', factor: 0.001 },
+    g: { label: 'gCO₂e', factor: 1 },
+    kg: { label: 'kgCO₂e', factor: 1000 }
+  }
+};
+
+const DEFAULT_CO2_INTENSITY = 475; // gCO2e/kWh, world average
+
+function validateNumberFields(settings, fields) {
+  const value = {};
+  const errors = {};
+
+  for (const [key, field] of Object.entries(fields)) {
+    const raw = settings ? settings[key] : undefined;
+    if (raw === undefined || raw === null) {
+      value[key] = field.default;
+      continue;
+    }
+
+    const number = raw === '' ? NaN : Number(raw);
+    if (isNaN(number) || !isFinite(number) || number < field.min || number > field.max ||
+        (field.integer && !Number.isInteger(number))) {
+      errors[key] = `${field.label} must be a ${field.integer ? 'whole ' : ''}number from ${field.min} to ${field.max}`;
+      value[key] = field.default;
+    } else {
+      value[key] = number;
+    }
+  }
+
+  return { value, errors };
+}
+
+function validateSamplingSettings(settings) {
+  return validateNumberFields(settings, SAMPLING_FIELDS);
+}
+
+function validatePrivacySettings(settings = {}) {
+  const { value, errors } = validateNumberFields(settings, PRIVACY_FIELDS);
+  value.storeFullUrls = !settings || settings.storeFullUrls !== false;
+  return { value, errors };
+}
+
+// Pages may only drive the profiler through window.__chromePowerProfiler when allowed here;
+// an empty origin list allows every page
+function validatePageApiSettings(settings) {
+  const value = { enabled: !!(settings && settings.enabled), origins: [] };
+  const errors = {};
+  const invalid = [];
+
+  for (const entry of (settings && settings.origins) || []) {
+    const text = String(entry).trim();
+    if (!text) continue;
+
+    try {
+      const origin = new URL(text).origin;
+      if (origin === 'null') throw new Error('Opaque origin');
+      if (!value.origins.includes(origin)) value.origins.push(origin);
+    } catch (error) {
+      invalid.push(text);
+    }
+  }
+
+  if (invalid.length > 0) {
+    errors.origins = `Not an origin: ${invalid.join(', ')}`;
+  }
+
+  return { value, errors };
+}
+
+function pageApiAllowed(settings, origin) {
+  return settings.enabled && (settings.origins.length === 0 || settings.origins.includes(origin));
+}
+
+// Match patterns for the pages page-api.js is injected into. Patterns can't carry a port, so
+// these may cover more than the listed origins; content.js still checks the exact origin.
+function pageApiMatchPatterns(settings) {
+  if (!settings.enabled) return [];
+  if (settings.origins.length === 0) return ['<all_urls>'];
+
+  const patterns = settings.origins.map(origin => {
+    const url = new URL(origin);
+    return `${url.protocol}//${url.hostname}/*`;
+  });
+  return [...new Set(patterns)];
+}
+
+function validateRetentionSettings(settings) {
+  return validateNumberFields(settings, RETENTION_FIELDS);
+}
+
+// 'auto' picks a unit by magnitude, as the popup always did
+function validateUnitSettings(settings = {}) {
+  const value = {};
+  const errors = {};
+
+  for (const kind of Object.keys(DISPLAY_UNITS)) {
+    const unit = settings ? settings[kind] : undefined;
+    if (unit === undefined || unit === 'auto' || DISPLAY_UNITS[kind][unit]) {
+      value[kind] = unit || 'auto';
+    } else {
+      value[kind] = 'auto';
+      errors[kind] = `Unknown ${kind} unit "${unit}"`;
+    }
+  }
+
+  return { value, errors };
+}
+
+function validateCO2Intensity(intensity) {
+  if (intensity === undefined || intensity === null) {
+    return { value: DEFAULT_CO2_INTENSITY, errors: {} };
+  }
+
+  const value = intensity === '' ? NaN : Number(intensity);
+  return isValidIntensity(value)
+    ? { value, errors: {} }
+    : {
+      value: DEFAULT_CO2_INTENSITY,
+      errors: { value: `Enter an intensity between ${MIN_CO2_INTENSITY} and ${MAX_CO2_INTENSITY} g/kWh` }
+    };
+}
+
+function validateIntensitySchedule(schedule) {
+  if (!schedule) {
+    return { value: null, errors: {} };
+  }
+
+  const value = normalizeIntensitySchedule(schedule);
+  return value
+    ? { value, errors: {} }
+    : {
+      value: null,
+      errors: { hours: `Every hour needs an intensity between ${MIN_CO2_INTENSITY} and ${MAX_CO2_INTENSITY} g/kWh` }
+    };
+}
+
+function validateLiveIntensityConfig(config) {
+  const value = normalizeLiveIntensityConfig(config);
+  const errors = {};
+
+  if (config && config.enabled === true && !value.enabled) {
+    errors.url = 'Enter an endpoint URL and a JSON path to turn on the live feed';
+  }
+
+  return { value, errors };
+}
+
+// Coefficients that match the profile are dropped so profile updates still reach them
+function validatePowerModelSettings(settings) {
+  if (!settings) {
+    return { value: {}, errors: {} };
+  }
+
+  const profiles = listPowerProfiles(settings);
+  const profile = profiles[settings.profile] ? settings.profile : DEFAULT_POWER_PROFILE;
+  const defaults = profiles[profile].coefficients;
+  const coefficients = {};
+  const errors = {};
+
+  for (const [key, raw] of Object.entries(settings.coefficients || {})) {
+    if (!POWER_COEFFICIENT_FIELDS[key]) continue;
+
+    const number = raw === '' ? NaN : Number(raw);
+    if (isNaN(number) || !isFinite(number) || number < 0) {
+      errors[`coefficients.${key}`] = `${POWER_COEFFICIENT_FIELDS[key]} must be a number of 0 or more`;
+    } else if (number !== defaults[key]) {
+      coefficients[key] = number;
+    }
+  }
+
+  return { value: { ...settings, profile, coefficients }, errors };
+}
+
+function validateBadgeSettings(settings) {
+  const value = normalizeBadgeSettings(settings);
+  const errors = {};
+
+  // normalizeBadgeSettings quietly falls back; the form should say why
+  const stored = settings && settings.thresholds && settings.thresholds[value.metric];
+  if (stored) {
+    const medium = parseFloat(stored.medium);
+    const high = parseFloat(stored.high);
+    if (isNaN(medium) || isNaN(high) || medium < 0 || high < medium) {
+      errors.thresholds = 'Thresholds must be numbers of 0 or more, with high at or above medium';
+    }
+  }
+
+  return { value, errors };
+}
+
+const SETTINGS_SCHEMA = {
+  sampling: { label: 'Sampling', validate: validateSamplingSettings },
+  powerModel: { label: 'Power model', validate: validatePowerModelSettings },
+  co2Intensity: { label: 'Carbon intensity', validate: validateCO2Intensity },
+  co2IntensitySource: { label: 'Grid region', validate: source => ({ value: source || null, errors: {} }) },
+  co2IntensitySchedule: { label: 'Intensity schedule', validate: validateIntensitySchedule },
+  liveIntensityConfig: { label: 'Live intensity feed', validate: validateLiveIntensityConfig },
+  badgeSettings: { label: 'Toolbar badge', validate: validateBadgeSettings },
+  units: { label: 'Units', validate: validateUnitSettings },
+  privacy: { label: 'Privacy', validate: validatePrivacySettings },
+  retention: { label: 'Storage retention', validate: validateRetentionSettings },
+  pageApi: { label: 'Page API', validate: validatePageApiSettings }
+};
+
+function normalizeSamplingSettings(settings) {
+  return validateSamplingSettings(settings).value;
+}
+
+function normalizePrivacySettings(settings) {
+  return validatePrivacySettings(settings).value;
+}
+
+function normalizePageApiSettings(settings) {
+  return validatePageApiSettings(settings).value;
+}
+
+function normalizeRetentionSettings(settings) {
+  return validateRetentionSettings(settings).value;
+}
+
+function normalizeUnitSettings(settings) {
+  return validateUnitSettings(settings).value;
+}
+
+// Checks every schema key in values; errors are keyed "setting.field", e.g. "sampling.intervalSeconds"
+function validateSettings(values) {
+  const validated = {};
+  const errors = {};
+
+  for (const [key, schema] of Object.entries(SETTINGS_SCHEMA)) {
+    if (!(key in values)) continue;
+
+    const result = schema.validate(values[key]);
+    validated[key] = result.value;
+    for (const [field, message] of Object.entries(result.errors)) {
+      errors[`${key}.${field}`] = message;
+    }
+  }
+
+  return { values: validated, errors };
+}
+
+async function loadStoredSettings(keys = Object.keys(SETTINGS_SCHEMA)) {
+  const data = await chrome.storage.local.get(keys);
+  const values = {};
+
+  for (const key of keys) {
+    values[key] = SETTINGS_SCHEMA[key].validate(data[key]).value;
+  }
+
+  return values;
+}
+
+// Writes nothing unless every value is valid; returns the errors, if any
+async function saveStoredSettings(values) {
+  const result = validateSettings(values);
+
+  if (Object.keys(result.errors).length === 0) {
+    await chrome.storage.local.set(result.values);
+  }
+
+  return result.errors;
+}
+
+// Listeners see the keys removed and fall back to the defaults
+async function resetStoredSettings() {
+  await chrome.storage.local.remove(Object.keys(SETTINGS_SCHEMA));
+}
+
+// Page address without path or query, for when full URLs are not kept
+function redactUrl(url) {
+  try {
+    return new URL(url).origin;
+  } catch (error) {
+    return 'unknown';
+  }
+}
+
+// A value in a fixed display unit, shaped like the popup's auto formatters
+function formatInUnit(value, kind, unit) {
+  const { label, factor } = DISPLAY_UNITS[kind][unit];
+  const scaled = value / factor;
+  const precision = scaled === 0 || Math.abs(scaled) >= 100 ? 0 : Math.abs(scaled) >= 1 ? 2 : 4;
+
+  return { value: scaled, unit: label, precision };
+}
@@ -0,0 +1,164 @@
+// First- and third-party classification of a page's requests, by registrable domain (eTLD+1)
+// from the bundled public-suffix list, with third parties sorted into the bundled categories.
+
+const THIRD_PARTY_CATEGORIES = {
+  ads: 'Advertising',
+  analytics: 'Analytics',
+  social: 'Social',
+  cdn: 'CDN',
+  other: 'Other third party'
+};
+
+const FIRST_PARTY_LABEL = 'First party';
+
+// Rules from data/public-suffixes.json: plain suffixes, "*." wildcards and "!" exceptions
+function parsePublicSuffixes(rules) {
+  const suffixes = { rules: new Set(), wildcards: new Set(), exceptions: new Set() };
+
+  for (const rule of rules) {
+    if (rule.startsWith('!')) {
+      suffixes.exceptions.add(rule.slice(1));
+    } else if (rule.startsWith('*.')) {
+      suffixes.wildcards.add(rule.slice(2));
+    } else {
+      suffixes.rules.add(rule);
+    }
+  }
+
+  return suffixes;
+}
+
+function isIPAddress(hostname) {
+  return /^\d{1,3}(\.\d{1,3}){3}$/.test(hostname) || hostname.includes(':') || hostname.startsWith('[');
+}
+
+// The public suffix plus one label, e.g. news.bbc.co.uk -> bbc.co.uk. Hosts with no
+// registrable part (IP addresses, localhost, a bare suffix) are returned unchanged.
+function registrableDomain(hostname, suffixes) {
+  const host = hostname.toLowerCase().replace(/\.$/, '');
+  if (!host || isIPAddress(host)) return host;
+
+  const labels = host.split('.');
+
+  // Longest matching rule wins; an exception's suffix is the rule minus its first label
+  for (let i = 0; i < labels.length; i++) {
+    const candidate = labels.slice(i).join('.');
+    const parent = labels.slice(i + 1).join('.');
+    let suffixLength = null;
+
+    if (suffixes.exceptions.has(candidate)) {
+      suffixLength = labels.length - i - 1;
+    } else if (suffixes.rules.has(candidate)) {
+      suffixLength = labels.length - i;
+    } else if (parent && suffixes.wildcards.has(parent)) {
+      suffixLength = labels.length - i;
+    }
+
+    if (suffixLength !== null) {
+      return suffixLength < labels.length ? labels.slice(-suffixLength - 1).join('.') : host;
+    }
+  }
+
+  // Unlisted TLDs count as a one-label suffix, as in browsers
+  return labels.slice(-2).join('.');
+}
+
+// Category lookups from data/third-party-categories.json, keyed by domain
+function parseThirdPartyCategories(data) {
+  const domains = new Map();
+
+  for (const [category, list] of Object.entries(data.categories || {})) {
+    if (!THIRD_PARTY_CATEGORIES[category]) continue;
+    for (const domain of list) {
+      domains.set(domain.toLowerCase(), category);
+    }
+  }
+
+  return domains;
+}
+
+// A host's category from its own entry or the closest parent domain's
+function thirdPartyCategory(hostname, categories) {
+  const labels = hostname.toLowerCase().split('.');
+
+  for (let i = 0; i < labels.length - 1; i++) {
+    const category = categories.get(labels.slice(i).join('.'));
+    if (category) return category;
+  }
+
+  return 'other';
+}
+
+// Both bundled lists, for extension pages; the caller keeps the result
+async function loadThirdPartyData() {
+  const [suffixes, categories] = await Promise.all([
+    fetch(chrome.runtime.getURL('data/public-suffixes.json')).then(response => response.json()),
+    fetch(chrome.runtime.getURL('data/third-party-categories.json')).then(response => response.json())
+  ]);
+
+  return {
+    suffixes: parsePublicSuffixes(suffixes.rules),
+    categories: parseThirdPartyCategories(categories),
+    version: `PSL ${suffixes.version}, categories ${categories.version}`
+  };
+}
+
+function createPartyTotals(fields) {
+  return { ...fields, requests: 0, transferBytes: 0, transferCO2e: 0 };
+}
+
+function addPartyTotals(target, totals) {
+  target.requests += totals.requests;
+  target.transferBytes += totals.transferBytes;
+  target.transferCO2e += totals.transferCO2e;
+  return target;
+}
+
+// Requests, bytes and transfer CO2 for the first party, each category and each third-party
+// origin of a page. origins maps an origin to { requests, transferBytes } as counted by
+// content.js; transferCO2e(bytes, origin) prices the bytes served from an origin.
+function summarizeThirdParties(pageHostname, origins, data, transferCO2e) {
+  const pageSite = registrableDomain(pageHostname, data.suffixes);
+  const firstParty = createPartyTotals({ site: pageSite, label: FIRST_PARTY_LABEL });
+  const categories = new Map();
+  const thirdParties = [];
+
+  for (const [origin, counts] of Object.entries(origins)) {
+    let hostname;
+    try {
+      hostname = new URL(origin).hostname;
+    } catch (error) {
+      continue;
+    }
+
+    const site = registrableDomain(hostname, data.suffixes);
+    const totals = {
+      requests: counts.requests,
+      transferBytes: counts.transferBytes,
+      transferCO2e: transferCO2e(counts.transferBytes, origin)
+    };
+
+    if (site === pageSite) {
+      addPartyTotals(firstParty, totals);
+      continue;
+    }
+
+    const category = thirdPartyCategory(hostname, data.categories);
+    thirdParties.push({ origin, site, category, ...totals });
+
+    const group = categories.get(category) ||
+      createPartyTotals({ category, label: THIRD_PARTY_CATEGORIES[category] });
+    categories.set(category, addPartyTotals(group, totals));
+  }
+
+  const thirdParty = [...categories.values()].reduce(
+    (sum, group) => addPartyTotals(sum, group), createPartyTotals({ label: 'All third parties' }));
+
+  return {
+    site: pageSite,
+    firstParty,
+    thirdParty,
+    categories: [...categories.values()].sort((a, b) => b.transferBytes - a.transferBytes || b.requests - a.requests),
+    origins: thirdParties.sort((a, b) => b.transferBytes - a.transferBytes || b.requests - a.requests)
+  };
+}
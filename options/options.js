@@ -0,0 +1,635 @@
+// Options page: every profiler setting in one form, validated against lib/settings.js.
+// Saved values reach the service worker, content scripts and popup through storage.onChanged.
+
+const LIVE_INTENSITY_FIELDS = {
+  liveUrl: 'url',
+  liveAuthHeader: 'authHeader',
+  liveAuthValue: 'authValue',
+  liveJsonPath: 'jsonPath',
+  liveTimestampPath: 'timestampPath',
+  livePollMinutes: 'pollMinutes',
+  liveMaxAgeMinutes: 'maxAgeMinutes'
+};
+
+const SAMPLING_INPUTS = {
+  samplingInterval: 'intervalSeconds',
+  historySize: 'historySize',
+  sampleWindow: 'sampleWindow'
+};
+
+const RETENTION_INPUTS = {
+  retainRawHours: 'rawHours',
+  retainMinuteDays: 'minuteDays',
+  retainHourDays: 'hourDays',
+  retainDayDays: 'dayDays'
+};
+
+class OptionsController {
+  constructor() {
+    this.powerModelSettings = {};   // Stored settings, including calibrated profiles
+    this.intensitySchedule = createIntensitySchedule(DEFAULT_CO2_INTENSITY); // Hourly intensities being edited
+    this.scheduleDay = new Date().getDay(); // Weekday shown in the schedule editor
+    this.gridRegions = [];          // CO2.js regions for the region picker
+    this.co2IntensitySource = null; // Region, accounting and data year behind the intensity, if picked
+    this.badgeSettings = normalizeBadgeSettings(); // Toolbar badge metric and colour scale
+    this.init();
+  }
+
+  async init() {
+    this.setupEventListeners();
+    this.renderUnitOptions();
+    await this.loadGridRegions();
+    await this.loadSettings();
+    this.updateLiveIntensityStatus();
+    this.updateGreenHostingStatus();
+
+    // The calibration wizard saves profiles while this page is open
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName === 'local' && changes.powerModel) {
+        this.powerModelSettings = validatePowerModelSettings(changes.powerModel.newValue).value;
+        this.renderPowerModel(resolvePowerModel(this.powerModelSettings));
+      }
+    });
+  }
+
+  setupEventListeners() {
+    document.getElementById('saveSettings').addEventListener('click', () => this.saveSettings());
+    document.getElementById('resetSettings').addEventListener('click', () => this.resetSettings());
+    document.getElementById('powerProfile').addEventListener('change', (event) => {
+      // Switching profile starts from that profile's coefficients
+      this.renderPowerModel(resolvePowerModel({
+        profile: event.target.value,
+        customProfiles: this.powerModelSettings.customProfiles
+      }));
+    });
+    document.getElementById('openCalibrate').addEventListener('click', () => {
+      chrome.tabs.create({ url: chrome.runtime.getURL('calibrate/calibrate.html') });
+    });
+    document.getElementById('gridRegion').addEventListener('change', () => this.applyGridRegion());
+    document.getElementById('intensityAccounting').addEventListener('change', () => this.applyGridRegion());
+    document.getElementById('co2Intensity').addEventListener('input', () => {
+      // Typing a value by hand detaches it from the region tables
+      this.co2IntensitySource = null;
+      document.getElementById('gridRegion').value = '';
+      this.renderIntensitySource();
+    });
+    document.getElementById('scheduleDay').addEventListener('change', (event) => {
+      if (!this.readScheduleDay()) {
+        event.target.value = this.scheduleDay;
+        return;
+      }
+      this.scheduleDay = Number(event.target.value);
+      this.renderIntensitySchedule();
+    });
+    document.getElementById('copyScheduleDay').addEventListener('click', () => {
+      if (!this.readScheduleDay()) return;
+      const hours = this.intensitySchedule.hours[this.scheduleDay];
+      this.intensitySchedule.hours = this.intensitySchedule.hours.map(() => [...hours]);
+    });
+    document.getElementById('downloadSchedule').addEventListener('click', () => {
+      if (!this.readScheduleDay()) return;
+      this.downloadFile(intensityScheduleToCSV(this.intensitySchedule), 'text/csv', 'co2-intensity-schedule.csv');
+    });
+    document.getElementById('scheduleFile').addEventListener('change', (event) => this.importIntensitySchedule(event));
+    document.getElementById('testLiveIntensity').addEventListener('click', () => this.testLiveIntensity());
+    document.getElementById('badgeMetric').addEventListener('change', (event) => {
+      // Keep the thresholds typed for the previous metric, then show the new metric's
+      this.readBadgeSettings();
+      this.badgeSettings.metric = event.target.value;
+      this.renderBadgeSettings();
+    });
+    document.getElementById('greenDomainsFile').addEventListener('change', (event) => this.importGreenDomains(event));
+    document.getElementById('deleteSessions').addEventListener('click', () => this.deleteSessions());
+  }
+
+  sendMessage(message) {
+    return new Promise((resolve) => {
+      chrome.runtime.sendMessage(message, (response) => {
+        if (chrome.runtime.lastError) {
+          console.log('Message send error for action', message.action, ':', chrome.runtime.lastError.message);
+          resolve(null);
+        } else {
+          resolve(response);
+        }
+      });
+    });
+  }
+
+  setStatus(text, isError = false) {
+    const status = document.getElementById('status');
+    status.textContent = text;
+    status.classList.toggle('error', isError);
+  }
+
+  async loadSettings() {
+    try {
+      this.render(await loadStoredSettings());
+    } catch (error) {
+      console.error('Error loading settings:', error);
+      this.setStatus('Could not load settings', true);
+    }
+  }
+
+  render(settings) {
+    for (const [id, key] of Object.entries(SAMPLING_INPUTS)) {
+      document.getElementById(id).value = settings.sampling[key];
+    }
+
+    this.powerModelSettings = settings.powerModel;
+    this.renderPowerModel(resolvePowerModel(this.powerModelSettings));
+
+    document.getElementById('co2Intensity').value = settings.co2Intensity;
+    this.co2IntensitySource = settings.co2IntensitySource;
+    this.renderGridRegion();
+
+    this.intensitySchedule = settings.co2IntensitySchedule || createIntensitySchedule(settings.co2Intensity);
+    this.renderIntensitySchedule();
+
+    this.renderLiveIntensityConfig(settings.liveIntensityConfig);
+
+    this.badgeSettings = settings.badgeSettings;
+    this.renderBadgeSettings();
+
+    document.querySelectorAll('[data-unit]').forEach(select => {
+      select.value = settings.units[select.dataset.unit];
+    });
+
+    document.getElementById('storeFullUrls').checked = settings.privacy.storeFullUrls;
+    document.getElementById('retentionDays').value = settings.privacy.retentionDays;
+
+    document.getElementById('pageApiEnabled').checked = settings.pageApi.enabled;
+    document.getElementById('pageApiOrigins').value = settings.pageApi.origins.join('\n');
+
+    for (const [id, key] of Object.entries(RETENTION_INPUTS)) {
+      document.getElementById(id).value = settings.retention[key];
+    }
+
+    this.showErrors({});
+  }
+
+  // The form as entered; lib/settings.js decides what is valid
+  readForm() {
+    const sampling = {};
+    for (const [id, key] of Object.entries(SAMPLING_INPUTS)) {
+      sampling[key] = document.getElementById(id).value;
+    }
+
+    const retention = {};
+    for (const [id, key] of Object.entries(RETENTION_INPUTS)) {
+      retention[key] = document.getElementById(id).value;
+    }
+
+    const units = {};
+    document.querySelectorAll('[data-unit]').forEach(select => {
+      units[select.dataset.unit] = select.value;
+    });
+
+    this.readScheduleDay();
+
+    return {
+      sampling,
+      powerModel: this.readPowerModelSettings(),
+      co2Intensity: document.getElementById('co2Intensity').value,
+      co2IntensitySource: this.co2IntensitySource,
+      co2IntensitySchedule: this.intensitySchedule,
+      liveIntensityConfig: this.readLiveIntensityConfig(),
+      badgeSettings: this.readBadgeSettings(),
+      units,
+      privacy: {
+        storeFullUrls: document.getElementById('storeFullUrls').checked,
+        retentionDays: document.getElementById('retentionDays').value
+      },
+      pageApi: {
+        enabled: document.getElementById('pageApiEnabled').checked,
+        origins: document.getElementById('pageApiOrigins').value.split('\n')
+      },
+      retention
+    };
+  }
+
+  showErrors(errors) {
+    document.querySelectorAll('[data-error]').forEach(element => {
+      element.textContent = errors[element.dataset.error] || '';
+    });
+
+    const count = Object.keys(errors).length;
+    document.getElementById('formError').textContent = count > 0
+      ? `${count} setting${count === 1 ? ' needs' : 's need'} fixing before saving`
+      : '';
+  }
+
+  async saveSettings() {
+    try {
+      const errors = await saveStoredSettings(this.readForm());
+      this.showErrors(errors);
+
+      if (Object.keys(errors).length > 0) {
+        this.setStatus('Not saved', true);
+        return;
+      }
+
+      this.setStatus(`Saved at ${new Date().toLocaleTimeString()}`);
+      this.renderBadgeSettings();
+    } catch (error) {
+      console.error('Error saving settings:', error);
+      this.setStatus('Could not save settings', true);
+    }
+  }
+
+  async resetSettings() {
+    if (!confirm('Reset every setting to its default? Saved sessions, budgets and calibrated profiles are kept.')) {
+      return;
+    }
+
+    try {
+      // Calibrated profiles took real measurements to make, so they survive a reset
+      const { customProfiles } = this.powerModelSettings;
+      await resetStoredSettings();
+      if (customProfiles) {
+        await chrome.storage.local.set({ powerModel: { customProfiles } });
+      }
+
+      await this.loadSettings();
+      this.updateLiveIntensityStatus();
+      this.setStatus('Reset to defaults');
+    } catch (error) {
+      console.error('Error resetting settings:', error);
+      this.setStatus('Could not reset settings', true);
+    }
+  }
+
+  renderPowerModel(model) {
+    const select = document.getElementById('powerProfile');
+    select.innerHTML = '';
+    for (const [id, profile] of Object.entries(listPowerProfiles(this.powerModelSettings))) {
+      const option = document.createElement('option');
+      option.value = id;
+      option.textContent = profile.label;
+      select.appendChild(option);
+    }
+    select.value = model.profile;
+
+    const container = document.getElementById('coefficientFields');
+    container.innerHTML = '';
+
+    for (const [key, label] of Object.entries(POWER_COEFFICIENT_FIELDS)) {
+      const field = document.createElement('div');
+      field.className = 'setting';
+
+      const fieldLabel = document.createElement('label');
+      fieldLabel.htmlFor = `coefficient-${key}`;
+      fieldLabel.textContent = label;
+
+      const input = document.createElement('input');
+      input.type = 'number';
+      input.id = `coefficient-${key}`;
+      input.dataset.coefficient = key;
+      input.min = '0';
+      input.step = 'any';
+      input.value = model.coefficients[key];
+
+      const error = document.createElement('div');
+      error.className = 'field-error';
+      error.dataset.error = `powerModel.coefficients.${key}`;
+
+      field.appendChild(fieldLabel);
+      field.appendChild(input);
+      field.appendChild(error);
+      container.appendChild(field);
+    }
+  }
+
+  readPowerModelSettings() {
+    const coefficients = {};
+
+    for (const input of document.querySelectorAll('#coefficientFields input')) {
+      coefficients[input.dataset.coefficient] = input.value;
+    }
+
+    return {
+      ...this.powerModelSettings,
+      profile: document.getElementById('powerProfile').value,
+      coefficients
+    };
+  }
+
+  async loadGridRegions() {
+    const select = document.getElementById('intensityAccounting');
+    for (const [id, label] of Object.entries(INTENSITY_ACCOUNTING)) {
+      const option = document.createElement('option');
+      option.value = id;
+      option.textContent = label;
+      select.appendChild(option);
+    }
+
+    try {
+      const response = await fetch(chrome.runtime.getURL('data/grid-regions.json'));
+      this.gridRegions = listGridRegions(await response.json());
+    } catch (error) {
+      console.error('Error loading grid regions:', error);
+    }
+
+    const datalist = document.getElementById('gridRegionList');
+    this.gridRegions.forEach(region => {
+      const option = document.createElement('option');
+      option.value = this.gridRegionLabel(region);
+      datalist.appendChild(option);
+    });
+  }
+
+  gridRegionLabel(region) {
+    return region.group ? region.name : `${region.name} (${region.code})`;
+  }
+
+  renderGridRegion() {
+    const source = this.co2IntensitySource;
+    const selected = source && this.gridRegions.find(region => region.code === source.region);
+
+    document.getElementById('intensityAccounting').value = source ? source.accounting : 'average';
+    document.getElementById('gridRegion').value = selected ? this.gridRegionLabel(selected) : '';
+    this.renderIntensitySource();
+  }
+
+  // Fills the intensity from the CO2.js table for the picked region and accounting
+  applyGridRegion() {
+    const label = document.getElementById('gridRegion').value;
+    const accounting = document.getElementById('intensityAccounting').value;
+    const region = this.gridRegions.find(entry => this.gridRegionLabel(entry) === label);
+
+    if (!region) {
+      this.co2IntensitySource = null;
+      this.renderIntensitySource();
+      return;
+    }
+
+    const source = region[accounting];
+    if (!source) {
+      this.co2IntensitySource = null;
+      document.getElementById('intensitySourceHint').textContent =
+        `CO2.js has no ${accounting} intensity for ${region.name}`;
+      return;
+    }
+
+    this.co2IntensitySource = { ...source, regionName: region.name };
+    document.getElementById('co2Intensity').value = source.intensity;
+    this.renderIntensitySource();
+  }
+
+  renderIntensitySource() {
+    const source = this.co2IntensitySource;
+    document.getElementById('intensitySourceHint').textContent = source
+      ? `${source.regionName}, ${source.accounting} intensity from ${source.dataSource}` +
+        (source.dataYear ? ` (${source.dataYear} data)` : '')
+      : 'Custom value';
+  }
+
+  renderIntensitySchedule() {
+    const select = document.getElementById('scheduleDay');
+    if (select.options.length === 0) {
+      WEEKDAY_NAMES.forEach((name, index) => {
+        const option = document.createElement('option');
+        option.value = index;
+        option.textContent = name;
+        select.appendChild(option);
+      });
+    }
+    select.value = this.scheduleDay;
+
+    document.getElementById('scheduleEnabled').checked = this.intensitySchedule.enabled;
+
+    const container = document.getElementById('scheduleHours');
+    container.innerHTML = '';
+
+    this.intensitySchedule.hours[this.scheduleDay].forEach((intensity, hour) => {
+      const field = document.createElement('div');
+
+      const label = document.createElement('label');
+      label.htmlFor = `schedule-hour-${hour}`;
+      label.textContent = `${String(hour).padStart(2, '0')}:00`;
+
+      const input = document.createElement('input');
+      input.type = 'number';
+      input.id = `schedule-hour-${hour}`;
+      input.dataset.hour = hour;
+      input.min = '0';
+      input.max = String(MAX_CO2_INTENSITY);
+      input.value = intensity;
+
+      field.appendChild(label);
+      field.appendChild(input);
+      container.appendChild(field);
+    });
+  }
+
+  // Copies the hours on screen back into the schedule; false if any is out of range
+  readScheduleDay() {
+    const hours = [...document.querySelectorAll('#scheduleHours input')]
+      .map(input => parseFloat(input.value));
+    const valid = hours.length === 24 && hours.every(isValidIntensity);
+
+    document.querySelector('[data-error="co2IntensitySchedule.hours"]').textContent = valid
+      ? ''
+      : `Enter an intensity between ${MIN_CO2_INTENSITY} and ${MAX_CO2_INTENSITY} g/kWh for every hour`;
+
+    this.intensitySchedule.hours[this.scheduleDay] = hours;
+    this.intensitySchedule.enabled = document.getElementById('scheduleEnabled').checked;
+    return valid;
+  }
+
+  async importIntensitySchedule(event) {
+    const file = event.target.files && event.target.files[0];
+    if (!file) return;
+
+    const label = document.querySelector('label[for="scheduleFile"]');
+
+    try {
+      this.intensitySchedule = parseIntensityScheduleCSV(await file.text(), file.name);
+      this.renderIntensitySchedule();
+      label.textContent = `Imported ${file.name}; click Save to use it`;
+    } catch (error) {
+      console.error('Error importing intensity schedule:', error);
+      label.textContent = `Schedule import failed: ${error.message}`;
+    } finally {
+      event.target.value = '';
+    }
+  }
+
+  downloadFile(content, type, fileName) {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    // Give the download a moment to start before releasing the blob
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  renderLiveIntensityConfig(config) {
+    document.getElementById('liveEnabled').checked = config.enabled;
+
+    for (const [id, key] of Object.entries(LIVE_INTENSITY_FIELDS)) {
+      document.getElementById(id).value = config[key];
+    }
+  }
+
+  // Left unnormalized so validation can tell an incomplete feed from a disabled one
+  readLiveIntensityConfig() {
+    const config = { enabled: document.getElementById('liveEnabled').checked };
+
+    for (const [id, key] of Object.entries(LIVE_INTENSITY_FIELDS)) {
+      config[key] = document.getElementById(id).value;
+    }
+
+    return config;
+  }
+
+  async updateLiveIntensityStatus() {
+    const statusText = document.getElementById('liveIntensityStatus');
+    const response = await this.sendMessage({ action: 'getLiveIntensityStatus' });
+
+    if (!response || !response.success) {
+      statusText.textContent = '';
+      return;
+    }
+
+    const { enabled, latest, current, lastError } = response.status;
+    if (!enabled) {
+      statusText.textContent = 'Off: using the static intensity';
+    } else if (lastError) {
+      statusText.textContent = `Last poll failed (${lastError.message}); ` +
+        (current !== null ? `using ${current} g/kWh from ${new Date(latest.timestamp).toLocaleTimeString()}` : 'using the static intensity');
+    } else if (current !== null) {
+      statusText.textContent = `Live: ${current} g/kWh at ${new Date(latest.timestamp).toLocaleTimeString()}`;
+    } else {
+      statusText.textContent = 'Waiting for a reading; using the static intensity';
+    }
+  }
+
+  async testLiveIntensity() {
+    const statusText = document.getElementById('liveIntensityStatus');
+    statusText.textContent = 'Testing…';
+
+    const response = await this.sendMessage({
+      action: 'testLiveIntensity',
+      config: normalizeLiveIntensityConfig(this.readLiveIntensityConfig())
+    });
+
+    if (response && response.success) {
+      statusText.textContent = `OK: ${response.reading.intensity} g/kWh at ${new Date(response.reading.timestamp).toLocaleTimeString()}`;
+    } else {
+      statusText.textContent = `Test failed${response && response.error ? `: ${response.error}` : ''}`;
+    }
+  }
+
+  renderBadgeSettings() {
+    const select = document.getElementById('badgeMetric');
+    if (select.options.length === 0) {
+      for (const [id, metric] of Object.entries(BADGE_METRICS)) {
+        const option = document.createElement('option');
+        option.value = id;
+        option.textContent = metric.label;
+        select.appendChild(option);
+      }
+    }
+
+    const settings = this.badgeSettings;
+    select.value = settings.metric;
+    document.getElementById('badgeMedium').value = settings.thresholds[settings.metric].medium;
+    document.getElementById('badgeHigh').value = settings.thresholds[settings.metric].high;
+    document.getElementById('badgeColorLow').value = settings.colors.low;
+    document.getElementById('badgeColorMedium').value = settings.colors.medium;
+    document.getElementById('badgeColorHigh').value = settings.colors.high;
+  }
+
+  // The form's badge settings for validation; this.badgeSettings keeps the last valid thresholds
+  readBadgeSettings() {
+    const settings = this.badgeSettings;
+    const edited = {
+      metric: settings.metric,
+      thresholds: {
+        ...settings.thresholds,
+        [settings.metric]: {
+          medium: document.getElementById('badgeMedium').value,
+          high: document.getElementById('badgeHigh').value
+        }
+      },
+      colors: {
+        low: document.getElementById('badgeColorLow').value,
+        medium: document.getElementById('badgeColorMedium').value,
+        high: document.getElementById('badgeColorHigh').value
+      }
+    };
+
+    this.badgeSettings = normalizeBadgeSettings(edited);
+    return edited;
+  }
+
+  renderUnitOptions() {
+    document.querySelectorAll('[data-unit]').forEach(select => {
+      const auto = document.createElement('option');
+      auto.value = 'auto';
+      auto.textContent = 'Automatic';
+      select.appendChild(auto);
+
+      for (const [id, unit] of Object.entries(DISPLAY_UNITS[select.dataset.unit])) {
+        const option = document.createElement('option');
+        option.value = id;
+        option.textContent = unit.label;
+        select.appendChild(option);
+      }
+    });
+  }
+
+  async updateGreenHostingStatus() {
+    const response = await this.sendMessage({ action: 'getGreenHostingStatus' });
+    const hint = document.getElementById('greenHostingStatus');
+    if (!response || !response.success) return;
+
+    const status = response.status;
+    hint.textContent = status.available
+      ? `Checking against ${status.domains} domains (imported ${new Date(status.version).toLocaleDateString()})`
+      : 'Green hosting check unavailable: no list imported yet. Every site counts as grey-hosted.';
+  }
+
+  async importGreenDomains(event) {
+    const file = event.target.files && event.target.files[0];
+    if (!file) return;
+
+    const label = document.querySelector('label[for="greenDomainsFile"]');
+
+    try {
+      const response = await this.sendMessage({ action: 'importGreenDomains', dataset: await file.text() });
+
+      if (response && response.success) {
+        label.textContent = `Green domains list: ${response.count} domains imported`;
+        this.updateGreenHostingStatus();
+      } else {
+        label.textContent = `Green domains import failed${response && response.error ? `: ${response.error}` : ''}`;
+      }
+    } catch (error) {
+      console.error('Error importing green domains:', error);
+    } finally {
+      event.target.value = '';
+    }
+  }
+
+  async deleteSessions() {
+    if (!confirm('Delete every saved session and its samples? A session being profiled is kept.')) {
+      return;
+    }
+
+    const statusText = document.getElementById('deleteSessionsStatus');
+    const response = await this.sendMessage({ action: 'deleteSessions' });
+
+    statusText.textContent = response && response.success
+      ? `Deleted ${response.count} session${response.count === 1 ? '' : 's'}`
+      : `Delete failed${response && response.error ? `: ${response.error}` : ''}`;
+  }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  new OptionsController();
+});
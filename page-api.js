@@ -0,0 +1,107 @@
+// Page-facing API for Chrome Power Profiler. Runs in the page's own JavaScript world
+// and relays calls to content.js, which runs in the isolated world, over window.postMessage.
+// Kept in one closure so the only global it adds is window.__chromePowerProfiler.
+
+(() => {
+  // Must match PAGE_API_SOURCE and EXTENSION_SOURCE in content.js
+  const PAGE_SOURCE = 'emissions-profiler-page';
+  const EXTENSION_SOURCE = 'emissions-profiler-extension';
+  const REQUEST_TIMEOUT = 30000; // ms, including the wait for content.js to attach
+
+  if (window.__chromePowerProfiler) return;
+
+  const pending = new Map();   // Request id -> { resolve, reject, timeoutId }
+  const queued = [];           // Requests made before content.js attached
+  const listeners = new Set(); // subscribe() callbacks
+  let nextId = 1;
+  let bridgeReady = false;
+
+  function post(message) {
+    window.postMessage({ source: PAGE_SOURCE, ...message }, '*');
+  }
+
+  function request(method) {
+    return new Promise((resolve, reject) => {
+      const id = nextId++;
+      const timeoutId = setTimeout(() => {
+        pending.delete(id);
+        reject(new Error(`Emissions Profiler did not answer ${method}()`));
+      }, REQUEST_TIMEOUT);
+
+      pending.set(id, { resolve, reject, timeoutId });
+
+      if (bridgeReady) {
+        post({ id, method });
+      } else {
+        queued.push({ id, method });
+      }
+    });
+  }
+
+  window.addEventListener('message', (event) => {
+    const data = event.data;
+    if (event.source !== window || !data || data.source !== EXTENSION_SOURCE) return;
+
+    if (data.type === 'ready') {
+      bridgeReady = true;
+      queued.splice(0).forEach(post);
+      // A reloaded extension starts without our subscription
+      if (listeners.size > 0) post({ method: 'subscribe' });
+      return;
+    }
+
+    if (data.type === 'sample') {
+      listeners.forEach(listener => {
+        try {
+          listener(data.sample);
+        } catch (error) {
+          console.error('Power profiler subscriber failed:', error);
+        }
+      });
+      return;
+    }
+
+    const entry = pending.get(data.id);
+    if (!entry) return;
+
+    pending.delete(data.id);
+    clearTimeout(entry.timeoutId);
+    if (data.error) {
+      entry.reject(new Error(data.error));
+    } else {
+      entry.resolve(data.result);
+    }
+  });
+
+  Object.defineProperty(window, '__chromePowerProfiler', {
+    value: Object.freeze({
+      // This page's current CPU, memory, network and power estimate
+      getMetrics: () => request('getMetrics'),
+      isConnected: () => request('isConnected'),
+      // Starts a profiling session, or joins the one already running
+      startProfiling: () => request('startProfiling'),
+      // Stops the session and resolves with its totals and this page's share
+      stopProfiling: () => request('stopProfiling'),
+      getSummary: () => request('getSummary'),
+      // Calls back with every sample taken while profiling; returns an unsubscribe function
+      subscribe(callback) {
+        if (typeof callback !== 'function') {
+          throw new TypeError('subscribe() needs a callback');
+        }
+
+        listeners.add(callback);
+        if (listeners.size === 1) {
+          request('subscribe').catch(error => console.error('Power profiler subscribe failed:', error));
+        }
+
+        return () => {
+          if (listeners.delete(callback) && listeners.size === 0) {
+            request('unsubscribe').catch(() => {});
+          }
+        };
+      }
+    }),
+    writable: false,
+    configurable: true
+  });
+})();
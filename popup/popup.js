@@ -261,11 +261,9 @@ class PopupController {
       energy: 0,
       co2e: 0
     };
-    this.cumulativeEnergy = 0; // Track total energy used
-    this.cumulativeCO2 = 0;    // Track total CO2 emissions
-    this.startTime = null;     // Track when profiling started
-    this.co2Intensity = 475;   // Default CO2 intensity (g/kWh)
-    this.lastUpdateTime = null; // Track last update time for accurate time calculations
+    this.co2Intensity = DEFAULT_CO2_INTENSITY; // g/kWh
+    this.powerModel = resolvePowerModel(); // Active device profile and coefficients
+    this.units = normalizeUnitSettings();  // Fixed display units, or auto
     this.init();
   }
 
@@ -285,7 +283,22 @@ class PopupController {
   setupEventListeners() {
     document.getElementById('startBtn').addEventListener('click', () => this.startProfiling());
     document.getElementById('stopBtn').addEventListener('click', () => this.stopProfiling());
-    document.getElementById('saveSettings').addEventListener('click', () => this.saveSettings());
+    document.getElementById('addBudget').addEventListener('click', () => this.addBudget());
+    document.getElementById('budgetScope').addEventListener('change', () => this.renderBudgetForm());
+    this.renderBudgetForm();
+    document.getElementById('exportJSON').addEventListener('click', () => this.exportSession('json'));
+    document.getElementById('exportCSV').addEventListener('click', () => this.exportSession('csv'));
+    document.getElementById('openCompare').addEventListener('click', () => {
+      chrome.tabs.create({ url: chrome.runtime.getURL('compare/compare.html') });
+    });
+    document.getElementById('openHistory').addEventListener('click', () => {
+      chrome.tabs.create({ url: chrome.runtime.getURL('history/history.html') });
+    });
+    document.getElementById('openReport').addEventListener('click', async () => {
+      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+      chrome.tabs.create({ url: chrome.runtime.getURL(`report/report.html${tab ? `?tabId=${tab.id}` : ''}`) });
+    });
+    document.getElementById('openOptions').addEventListener('click', () => chrome.runtime.openOptionsPage());
     
     // Initialize SVG Chart instead of Chart.js
     this.initChart();
@@ -405,10 +418,6 @@ class PopupController {
       const response = await this.safeSendMessage({ action: 'startProfiling' });
       if (response && response.success) {
         this.isProfiling = true;
-        this.startTime = Date.now(); // Reset start time
-        this.lastUpdateTime = Date.now(); // Reset last update time
-        this.cumulativeEnergy = 0;   // Reset cumulative energy
-        this.cumulativeCO2 = 0;      // Reset cumulative CO2
         this.updateUI();
         this.showConnectedStatus();
         
@@ -420,8 +429,8 @@ class PopupController {
         // Reset metrics display
         this.displayCurrentMetrics({
           power: 0,
-          energy: 0,
-          co2e: 0
+          sessionEnergy: 0,
+          sessionCO2e: 0
         });
         
         console.log('Profiling started. CO2 intensity:', this.co2Intensity, 'g/kWh');
@@ -455,25 +464,27 @@ class PopupController {
         this.updateUI();
         this.showConnectedStatus();
         
-        // Calculate final duration
-        const duration = this.startTime ? (Date.now() - this.startTime) / 1000 : 0;
+        this.updateBreakdown();
+        this.updateResourceTypes();
+        this.updateUserTimings();
         
         if (response.summary) {
           this.displaySummary(response.summary);
           
-          // Also update display with our calculated cumulative values
-          this.displayFinalCumulativeValues(duration);
-        } else {
-          // If no summary from service worker, show our calculated values
-          this.displayFinalCumulativeValues(duration);
+          // The session totals from the service worker are the final values
+          this.displayCurrentMetrics({
+            power: this.lastValidMetrics.power,
+            sessionEnergy: response.summary.totalEnergy,
+            sessionCO2e: response.summary.totalCO2e
+          });
+          
+          console.log('Profiling stopped. Final values:', {
+            duration: response.summary.duration + 's',
+            energy: response.summary.totalEnergy + 'Wh',
+            co2: response.summary.totalCO2e + 'gCO₂e',
+            avgPower: response.summary.avgPower + 'W'
+          });
         }
-        
-        console.log('Profiling stopped. Final values:', {
-          duration: duration + 's',
-          energy: this.cumulativeEnergy + 'Wh',
-          co2: this.cumulativeCO2 + 'gCO₂e',
-          avgPower: (this.cumulativeEnergy / (duration / 3600)).toFixed(3) + 'W'
-        });
       } else if (response === null) {
         this.showConnectionError();
       } else {
@@ -488,30 +499,6 @@ class PopupController {
     }
   }
 
-  displayFinalCumulativeValues(duration) {
-    // Update session details with our calculated values
-    document.getElementById('sessionDuration').textContent = `${duration.toFixed(1)}s`;
-    
-    const avgPower = duration > 0 ? (this.cumulativeEnergy / (duration / 3600)) : 0;
-    let avgPowerDisplay;
-    
-    if (avgPower >= 1000) {
-      avgPowerDisplay = `${(avgPower / 1000).toFixed(3)} kW`;
-    } else if (avgPower >= 1) {
-      avgPowerDisplay = `${avgPower.toFixed(3)} W`;
-    } else if (avgPower >= 0.001) {
-      avgPowerDisplay = `${(avgPower * 1000).toFixed(3)} mW`;
-    } else {
-      avgPowerDisplay = `${(avgPower * 1000000).toFixed(0)} µW`;
-    }
-    
-    document.getElementById('avgPower').textContent = avgPowerDisplay;
-    
-    // Estimate sample count based on duration (approx 1 sample per second)
-    const sampleCount = Math.round(duration);
-    document.getElementById('sampleCount').textContent = sampleCount;
-  }
-
   async updateMetrics() {
     if (!this.isProfiling || !this.extensionConnected) return;
     
@@ -520,21 +507,33 @@ class PopupController {
       if (response && response.success && response.metrics) {
         // Validate metrics before displaying
         const validatedMetrics = this.validateMetrics(response.metrics);
+        this.displayEffectiveIntensity(
+          effectiveCO2Intensity(validatedMetrics.sessionEnergy, validatedMetrics.sessionCO2e));
         
-        // Update cumulative calculations
-        this.updateCumulativeCalculations(validatedMetrics);
-        
-        // Display metrics with cumulative values
+        // Display metrics with the session totals from the service worker
         this.displayCurrentMetrics(validatedMetrics);
+        this.displayTransferMetrics(
+          validatedMetrics.sessionTransferBytes,
+          validatedMetrics.sessionTransferCO2e
+        );
         this.updateChart(validatedMetrics);
         
         // Store last valid metrics for fallback
         this.lastValidMetrics = {
           power: validatedMetrics.power,
-          energy: this.cumulativeEnergy,
-          co2e: this.cumulativeCO2
+          energy: validatedMetrics.sessionEnergy,
+          co2e: validatedMetrics.sessionCO2e
         };
         
+        // The site ranking changes slowly, so refresh it every few seconds
+        if (!this.lastBreakdownUpdate || Date.now() - this.lastBreakdownUpdate > 5000) {
+          this.updateBreakdown();
+          this.updateResourceTypes();
+          this.updateBudgets();
+          this.updateHeapLeaks();
+          this.updateUserTimings();
+        }
+        
         // Update profiling status from response
         if (response.isProfiling !== undefined) {
           this.isProfiling = response.isProfiling;
@@ -560,59 +559,19 @@ class PopupController {
     }
   }
 
-  updateCumulativeCalculations(metrics) {
-    const now = Date.now();
-    const currentPower = metrics.power || 0;
-    
-    // Calculate time elapsed since last update (in hours)
-    let timeElapsedHours = 1 / 3600; // Default to 1 second if first update
-    
-    if (this.lastUpdateTime) {
-      const timeElapsedSeconds = (now - this.lastUpdateTime) / 1000;
-      timeElapsedHours = timeElapsedSeconds / 3600;
-    }
-    
-    // Calculate energy for this time period
-    // Energy (Wh) = Power (W) × Time (hours)
-    const energyThisPeriod = currentPower * timeElapsedHours;
-    
-    // Add to cumulative energy
-    this.cumulativeEnergy += energyThisPeriod;
-    
-    // Calculate CO2 for this time period
-    // CO2 (g) = Energy (kWh) × CO2 Intensity (g/kWh)
-    const energyKWhThisPeriod = energyThisPeriod / 1000; // Convert Wh to kWh
-    const co2ThisPeriod = energyKWhThisPeriod * this.co2Intensity;
-    
-    // Add to cumulative CO2
-    this.cumulativeCO2 += co2ThisPeriod;
-    
-    // Update last update time
-    this.lastUpdateTime = now;
-    
-    // Debug logging (only log every 10 seconds to avoid console spam)
-    if (!this.lastDebugLog || now - this.lastDebugLog > 10000) {
-      console.log('Cumulative calculations update:', {
-        currentPower: currentPower + 'W',
-        timeElapsed: (timeElapsedHours * 3600).toFixed(1) + 's',
-        energyThisPeriod: energyThisPeriod.toFixed(6) + 'Wh',
-        cumulativeEnergy: this.cumulativeEnergy.toFixed(6) + 'Wh',
-        co2ThisPeriod: co2ThisPeriod.toFixed(6) + 'g',
-        cumulativeCO2: this.cumulativeCO2.toFixed(6) + 'g',
-        co2Intensity: this.co2Intensity + 'g/kWh'
-      });
-      this.lastDebugLog = now;
-    }
-  }
-
   validateMetrics(metrics) {
     return {
       timestamp: metrics.timestamp || Date.now(),
       power: this.validateNumber(metrics.power, 0, 1000),
       energy: this.validateNumber(metrics.energy, 0, 10000),
       co2e: this.validateNumber(metrics.co2e, 0, 10000),
-      cumulativeEnergy: this.validateNumber(metrics.cumulativeEnergy, 0, 10000),
-      cumulativeCO2: this.validateNumber(metrics.cumulativeCO2, 0, 10000)
+      sessionEnergy: this.validateNumber(metrics.sessionEnergy, 0, 10000),
+      sessionCO2e: this.validateNumber(metrics.sessionCO2e, 0, 10000),
+      co2Intensity: metrics.co2Intensity !== undefined
+        ? this.validateNumber(metrics.co2Intensity, MIN_CO2_INTENSITY, MAX_CO2_INTENSITY)
+        : this.co2Intensity,
+      sessionTransferBytes: this.validateNumber(metrics.sessionTransferBytes, 0, 1e12),
+      sessionTransferCO2e: this.validateNumber(metrics.sessionTransferCO2e, 0, 1000000)
     };
   }
 
@@ -632,6 +591,16 @@ class PopupController {
         this.isProfiling = response.isProfiling || false;
         this.updateUI();
         this.showConnectedStatus();
+        
+        // A reopened popup starts from the session's persisted totals
+        if (response.metrics) {
+          this.displayCurrentMetrics(this.validateMetrics(response.metrics));
+        }
+        this.updateBreakdown();
+        this.updateResourceTypes();
+        this.updateBudgets();
+        this.updateHeapLeaks();
+        this.updateUserTimings();
       } else if (response === null) {
         this.showConnectionError();
       }
@@ -645,10 +614,10 @@ class PopupController {
   }
 
   displayCurrentMetrics(metrics) {
-    // Use power from current metrics, but use our calculated cumulative values
+    // Current power, with the session's persisted energy and CO2 totals
     const power = metrics.power || 0;
-    const energy = this.cumulativeEnergy || 0;
-    const co2e = this.cumulativeCO2 || 0;
+    const energy = metrics.sessionEnergy || 0;
+    const co2e = metrics.sessionCO2e || 0;
     
     // Format power value
     let powerDisplay, powerUnit;
@@ -704,6 +673,11 @@ class PopupController {
       co2Unit = 'gCO₂e';
     }
     
+    // Fixed units from the options page replace the automatic choice
+    [powerDisplay, powerUnit] = this.displayInUnit(power, 'power', powerDisplay, powerUnit);
+    [energyDisplay, energyUnit] = this.displayInUnit(energy, 'energy', energyDisplay, energyUnit);
+    [co2Display, co2Unit] = this.displayInUnit(co2e, 'co2', co2Display, co2Unit);
+    
     // Update DOM
     document.getElementById('currentPower').textContent = powerDisplay;
     document.getElementById('currentPowerUnit').textContent = powerUnit;
@@ -716,8 +690,8 @@ class PopupController {
     if (!this.lastDisplayDebug || Date.now() - this.lastDisplayDebug > 5000) {
       console.log('Displaying metrics:', {
         power: power + 'W',
-        cumulativeEnergy: energy + 'Wh',
-        cumulativeCO2: co2e + 'g',
+        sessionEnergy: energy + 'Wh',
+        sessionCO2e: co2e + 'g',
         powerDisplay: powerDisplay + powerUnit,
         energyDisplay: energyDisplay + energyUnit,
         co2Display: co2Display + co2Unit,
@@ -727,6 +701,15 @@ class PopupController {
     }
   }
 
+  displayInUnit(value, kind, autoDisplay, autoUnit) {
+    if (this.units[kind] === 'auto') {
+      return [autoDisplay, autoUnit];
+    }
+    
+    const formatted = formatInUnit(value, kind, this.units[kind]);
+    return [formatted.value.toFixed(formatted.precision), formatted.unit];
+  }
+
   updateChart(metrics) {
     if (!this.chart) return;
     
@@ -744,6 +727,370 @@ class PopupController {
     }
   }
 
+  async updateBreakdown() {
+    this.lastBreakdownUpdate = Date.now();
+    
+    try {
+      const response = await this.safeSendMessage({ action: 'getAttribution' });
+      if (response && response.success && response.attribution) {
+        this.displayBreakdown(response.attribution.domains, response.greenHosting);
+      }
+    } catch (error) {
+      console.error('Error updating site breakdown:', error);
+    }
+  }
+
+  async updateResourceTypes() {
+    try {
+      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+      if (!tab) return;
+      
+      const response = await this.safeSendMessage({ action: 'getResourceTypes', tabId: tab.id });
+      if (response && response.success) {
+        this.displayResourceTypes(response.page);
+      }
+    } catch (error) {
+      console.error('Error updating resource types:', error);
+    }
+  }
+
+  async updateUserTimings() {
+    try {
+      const response = await this.safeSendMessage({ action: 'getUserTimings' });
+      if (response && response.success) {
+        this.displayUserTimings(response.userTimings ? response.userTimings.summary : []);
+      }
+    } catch (error) {
+      console.error('Error updating user timings:', error);
+    }
+  }
+
+  async updateBudgets() {
+    try {
+      const response = await this.safeSendMessage({ action: 'getBudgetStatus' });
+      if (response && response.success) {
+        this.displayBudgets(response.budgets);
+      }
+    } catch (error) {
+      console.error('Error updating budgets:', error);
+    }
+  }
+
+  async updateHeapLeaks() {
+    try {
+      const response = await this.safeSendMessage({ action: 'getHeapLeaks' });
+      if (response && response.success) {
+        this.displayHeapLeaks(response.leaks);
+      }
+    } catch (error) {
+      console.error('Error updating heap leaks:', error);
+    }
+  }
+
+  // One line per tab whose heap is still climbing, with what the growth costs in power
+  displayHeapLeaks(leaks) {
+    const warning = document.getElementById('leakWarning');
+    const list = document.getElementById('leakList');
+    if (!warning || !list) return;
+    
+    list.innerHTML = '';
+    warning.hidden = leaks.length === 0;
+    
+    leaks.slice(0, 3).forEach(leak => {
+      const item = document.createElement('li');
+      item.textContent = `${leak.domain}: +${leak.growthMBPerMinute.toFixed(2)} MB/min for ` +
+        `${Math.round(leak.durationMinutes)} min, about +${(leak.extraPowerPerHour * 1000).toFixed(1)} mW each hour`;
+      item.title = `${leak.url}\nHeap ${leak.startMB.toFixed(0)} → ${leak.endMB.toFixed(0)} MB ` +
+        `(fit R² ${leak.rSquared.toFixed(2)}), +${(leak.extraPower * 1000).toFixed(1)} mW so far`;
+      list.appendChild(item);
+    });
+  }
+
+  displayBudgets(statuses) {
+    const list = document.getElementById('budgetList');
+    list.innerHTML = '';
+    
+    document.getElementById('budgetMarker').hidden = !statuses.some(status => status.exceeded);
+    
+    if (statuses.length === 0) {
+      list.innerHTML = '<li class="budget-empty">No budgets set</li>';
+      return;
+    }
+    
+    statuses.forEach(status => {
+      const item = document.createElement('li');
+      item.classList.toggle('exceeded', status.exceeded);
+      
+      const header = document.createElement('div');
+      header.className = 'budget-header';
+      
+      const label = document.createElement('span');
+      label.textContent = `${status.exceeded ? '⚠ ' : ''}${status.label}`;
+      header.appendChild(label);
+      
+      const usage = document.createElement('span');
+      usage.textContent = formatBudgetAmount(status.budget, status.used);
+      header.appendChild(usage);
+      
+      const removeButton = document.createElement('button');
+      removeButton.className = 'budget-remove';
+      removeButton.textContent = '✕';
+      removeButton.title = 'Remove budget';
+      removeButton.addEventListener('click', () => this.removeBudget(status.budget.id));
+      header.appendChild(removeButton);
+      
+      const bar = document.createElement('div');
+      bar.className = 'budget-bar';
+      const fill = document.createElement('span');
+      fill.style.width = `${Math.min(100, status.fraction * 100)}%`;
+      bar.appendChild(fill);
+      
+      item.appendChild(header);
+      item.appendChild(bar);
+      list.appendChild(item);
+    });
+  }
+
+  renderBudgetForm() {
+    const unitSelect = document.getElementById('budgetUnit');
+    const periodSelect = document.getElementById('budgetPeriod');
+    const site = document.getElementById('budgetScope').value === 'site';
+    
+    if (unitSelect.options.length === 0) {
+      for (const [id, unit] of Object.entries(BUDGET_UNITS)) {
+        const option = document.createElement('option');
+        option.value = id;
+        option.textContent = unit.label;
+        unitSelect.appendChild(option);
+      }
+    }
+    
+    // All-browsing budgets only make sense per day
+    periodSelect.innerHTML = '';
+    for (const [id, label] of Object.entries(BUDGET_PERIODS)) {
+      if (!site && id === 'visit') continue;
+      const option = document.createElement('option');
+      option.value = id;
+      option.textContent = label;
+      periodSelect.appendChild(option);
+    }
+    
+    document.getElementById('budgetDomain').disabled = !site;
+  }
+
+  async addBudget() {
+    const errorText = document.getElementById('budgetError');
+    
+    try {
+      const budget = normalizeBudget({
+        scope: document.getElementById('budgetScope').value,
+        domain: document.getElementById('budgetDomain').value,
+        amount: document.getElementById('budgetAmount').value,
+        unit: document.getElementById('budgetUnit').value,
+        period: document.getElementById('budgetPeriod').value
+      });
+      
+      // The service worker picks the list up via storage.onChanged
+      const { budgets = [] } = await chrome.storage.local.get('budgets');
+      await chrome.storage.local.set({ budgets: [...budgets, budget] });
+      
+      errorText.textContent = `Added: ${describeBudget(budget)}`;
+      document.getElementById('budgetAmount').value = '';
+      this.updateBudgets();
+    } catch (error) {
+      errorText.textContent = error.message;
+    }
+  }
+
+  async removeBudget(id) {
+    try {
+      const { budgets = [] } = await chrome.storage.local.get('budgets');
+      await chrome.storage.local.set({ budgets: budgets.filter(budget => budget.id !== id) });
+      this.updateBudgets();
+    } catch (error) {
+      console.error('Error removing budget:', error);
+    }
+  }
+
+  displayBreakdown(domains, greenHosting) {
+    const tbody = document.getElementById('siteBreakdown');
+    if (!tbody) return;
+    
+    tbody.innerHTML = '';
+    
+    // No markers at all without a green domains list, rather than grey dots that look like answers
+    const hostingAvailable = !!(greenHosting && greenHosting.available);
+    const hint = document.getElementById('siteHint');
+    if (hint) {
+      hint.textContent = hostingAvailable ? '' : '(green hosting check unavailable: no green domains list imported)';
+    }
+    
+    if (!domains || domains.length === 0) {
+      const row = document.createElement('tr');
+      row.className = 'breakdown-empty';
+      row.innerHTML = '<td colspan="4">No data yet</td>';
+      tbody.appendChild(row);
+      return;
+    }
+    
+    domains.slice(0, 10).forEach(entry => {
+      const row = document.createElement('tr');
+      const cells = [
+        entry.domain,
+        this.formatEnergy(entry.energy),
+        this.formatCO2(entry.co2e),
+        `${(entry.share * 100).toFixed(1)}%`
+      ];
+      
+      cells.forEach(text => {
+        const cell = document.createElement('td');
+        cell.textContent = text;
+        row.appendChild(cell);
+      });
+      
+      // Green/grey dot for the offline green-hosting check
+      if (hostingAvailable) {
+        const marker = document.createElement('span');
+        marker.className = entry.green ? 'hosting-marker green' : 'hosting-marker';
+        marker.title = entry.green === null || entry.green === undefined
+          ? 'Hosting not checked yet'
+          : entry.green ? 'Green hosting' : 'Not in the green domains dataset';
+        row.firstChild.prepend(marker);
+      }
+      
+      row.firstChild.title = entry.domain;
+      tbody.appendChild(row);
+    });
+  }
+
+  // Active tab's transfer bytes by resource type, as a stacked bar and a table
+  displayResourceTypes(page) {
+    const tbody = document.getElementById('typeBreakdown');
+    const bar = document.getElementById('typeBar');
+    if (!tbody || !bar) return;
+    
+    tbody.innerHTML = '';
+    bar.innerHTML = '';
+    document.getElementById('typeHint').textContent = page ? page.domain : '';
+    
+    if (!page || page.types.length === 0) {
+      const row = document.createElement('tr');
+      row.className = 'breakdown-empty';
+      row.innerHTML = '<td colspan="4">No data for this page yet</td>';
+      tbody.appendChild(row);
+      return;
+    }
+    
+    page.types.forEach(entry => {
+      if (entry.share > 0) {
+        const segment = document.createElement('span');
+        segment.style.width = `${(entry.share * 100).toFixed(2)}%`;
+        segment.style.background = RESOURCE_TYPES[entry.type].color;
+        segment.title = `${entry.label}: ${this.formatBytes(entry.transferBytes)} ` +
+          `(${(entry.share * 100).toFixed(1)}%)`;
+        bar.appendChild(segment);
+      }
+      
+      const row = document.createElement('tr');
+      const cells = [
+        entry.label,
+        entry.requests,
+        this.formatBytes(entry.transferBytes),
+        this.formatCO2(entry.transferCO2e)
+      ];
+      
+      cells.forEach(text => {
+        const cell = document.createElement('td');
+        cell.textContent = text;
+        row.appendChild(cell);
+      });
+      
+      const swatch = document.createElement('span');
+      swatch.className = 'type-swatch';
+      swatch.style.background = RESOURCE_TYPES[entry.type].color;
+      row.firstChild.prepend(swatch);
+      
+      row.firstChild.title = `${entry.label}: ${this.formatBytes(entry.decodedBytes)} decoded`;
+      tbody.appendChild(row);
+    });
+  }
+
+  // Average cost of one run of each performance.measure() name
+  displayUserTimings(measures) {
+    const tbody = document.getElementById('measureBreakdown');
+    if (!tbody) return;
+    
+    tbody.innerHTML = '';
+    
+    if (measures.length === 0) {
+      const row = document.createElement('tr');
+      row.className = 'breakdown-empty';
+      row.innerHTML = '<td colspan="4">No performance.measure() calls yet</td>';
+      tbody.appendChild(row);
+      return;
+    }
+    
+    measures.slice(0, 10).forEach(entry => {
+      const row = document.createElement('tr');
+      const cells = [
+        entry.name,
+        entry.count,
+        this.formatEnergy(entry.energy / entry.count),
+        this.formatCO2(entry.co2e / entry.count)
+      ];
+      
+      cells.forEach(text => {
+        const cell = document.createElement('td');
+        cell.textContent = text;
+        row.appendChild(cell);
+      });
+      
+      row.firstChild.title = `${entry.name}: ${(entry.duration / entry.count).toFixed(0)} ms per run, ` +
+        `${this.formatEnergy(entry.pageEnergy / entry.count)} from its own tab`;
+      tbody.appendChild(row);
+    });
+  }
+
+  displayTransferMetrics(bytes, co2e) {
+    document.getElementById('transferBytes').textContent = this.formatBytes(bytes);
+    document.getElementById('transferCO2').textContent = `${this.formatCO2(co2e)}CO₂e`;
+  }
+
+  formatBytes(bytes) {
+    if (bytes >= 1e9) return `${(bytes / 1e9).toFixed(2)} GB`;
+    if (bytes >= 1e6) return `${(bytes / 1e6).toFixed(2)} MB`;
+    if (bytes >= 1e3) return `${(bytes / 1e3).toFixed(1)} kB`;
+    return `${Math.round(bytes)} B`;
+  }
+
+  formatPower(power) {
+    if (this.units.power !== 'auto') return this.displayInUnit(power, 'power').join(' ');
+    if (power >= 1000) return `${(power / 1000).toFixed(3)} kW`;
+    if (power >= 1) return `${power.toFixed(3)} W`;
+    if (power >= 0.001) return `${(power * 1000).toFixed(3)} mW`;
+    return `${(power * 1000000).toFixed(0)} µW`;
+  }
+
+  formatEnergy(energy) {
+    if (this.units.energy !== 'auto') return this.displayInUnit(energy, 'energy').join(' ');
+    if (energy >= 1000) return `${(energy / 1000).toFixed(3)} kWh`;
+    if (energy >= 1) return `${energy.toFixed(3)} Wh`;
+    if (energy >= 0.001) return `${(energy * 1000).toFixed(2)} mWh`;
+    return `${(energy * 1000000).toFixed(0)} µWh`;
+  }
+
+  // Bare mass units; callers add CO₂e where they need it
+  formatCO2(co2e) {
+    if (this.units.co2 !== 'auto') {
+      const formatted = formatInUnit(co2e, 'co2', this.units.co2);
+      return `${formatted.value.toFixed(formatted.precision)} ${this.units.co2}`;
+    }
+    if (co2e >= 1000) return `${(co2e / 1000).toFixed(2)} kg`;
+    if (co2e >= 1) return `${co2e.toFixed(1)} g`;
+    if (co2e >= 0.001) return `${(co2e * 1000).toFixed(1)} mg`;
+    return `${(co2e * 1000000).toFixed(0)} µg`;
+  }
+
   displaySummary(summary) {
     if (!summary) return;
     
@@ -752,19 +1099,16 @@ class PopupController {
     document.getElementById('sampleCount').textContent = summary.sampleCount || 0;
     
     const avgPower = summary.avgPower || 0;
-    let avgPowerDisplay;
-    
-    if (avgPower >= 1000) {
-      avgPowerDisplay = `${(avgPower / 1000).toFixed(3)} kW`;
-    } else if (avgPower >= 1) {
-      avgPowerDisplay = `${avgPower.toFixed(3)} W`;
-    } else if (avgPower >= 0.001) {
-      avgPowerDisplay = `${(avgPower * 1000).toFixed(3)} mW`;
-    } else {
-      avgPowerDisplay = `${(avgPower * 1000000).toFixed(0)} µW`;
-    }
+    document.getElementById('avgPower').textContent = this.formatPower(avgPower);
     
-    document.getElementById('avgPower').textContent = avgPowerDisplay;
+    this.displayTransferMetrics(summary.totalTransferBytes || 0, summary.totalTransferCO2e || 0);
+    this.displayEffectiveIntensity(summary.effectiveCO2Intensity);
+  }
+
+  // Energy-weighted average of the intensities the session's CO2 was calculated with
+  displayEffectiveIntensity(intensity) {
+    document.getElementById('effectiveIntensity').textContent =
+      intensity === null || intensity === undefined ? '--' : `${intensity.toFixed(0)} g/kWh`;
   }
 
   updateUI() {
@@ -779,89 +1123,79 @@ class PopupController {
     }
   }
 
+  // Settings are edited on the options page; the popup only needs what it displays
   async loadSettings() {
     try {
-      const data = await chrome.storage.local.get(['co2Intensity']);
-      if (data.co2Intensity !== undefined) {
-        const intensity = Number(data.co2Intensity);
-        if (!isNaN(intensity) && intensity >= 0 && intensity <= 1000) {
-          this.co2Intensity = intensity;
-          document.getElementById('co2Intensity').value = intensity;
-          console.log('Loaded CO2 intensity:', this.co2Intensity, 'g/kWh');
-        } else {
-          console.warn('Invalid CO2 intensity in storage:', data.co2Intensity, 'using default 475');
-        }
-      } else {
-        console.log('No CO2 intensity in storage, using default 475 g/kWh');
-      }
+      this.applySettings(await loadStoredSettings(['co2Intensity', 'powerModel', 'units']));
+      console.log('Loaded CO2 intensity:', this.co2Intensity, 'g/kWh');
     } catch (error) {
       console.error('Error loading settings:', error);
     }
+    
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName !== 'local') return;
+      
+      const updates = {};
+      for (const key of ['co2Intensity', 'powerModel', 'units']) {
+        if (changes[key]) {
+          updates[key] = SETTINGS_SCHEMA[key].validate(changes[key].newValue).value;
+        }
+      }
+      this.applySettings(updates);
+    });
   }
 
-  async saveSettings() {
-    if (!this.extensionConnected) {
-      if (!await this.checkExtensionConnection()) {
-        this.showConnectionError();
-        return;
-      }
+  applySettings(settings) {
+    if (settings.co2Intensity !== undefined) {
+      this.co2Intensity = settings.co2Intensity;
+    }
+    if (settings.powerModel) {
+      this.powerModel = resolvePowerModel(settings.powerModel);
+      document.getElementById('powerModelLabel').textContent = this.powerModel.label;
+    }
+    if (settings.units) {
+      this.units = settings.units;
     }
+  }
 
+  async exportSession(format) {
+    const button = document.getElementById(format === 'csv' ? 'exportCSV' : 'exportJSON');
+    const originalText = button.textContent;
+    
     try {
-      const co2Intensity = parseFloat(document.getElementById('co2Intensity').value);
-      
-      // Validate input
-      if (isNaN(co2Intensity) || co2Intensity < 0 || co2Intensity > 1000) {
-        alert('Please enter a valid CO2 intensity between 0 and 1000 g/kWh');
+      const response = await this.safeSendMessage({ action: 'exportSession' }, 10000);
+      if (!response || !response.success) {
+        button.textContent = response && response.error ? response.error : 'Export failed';
+        setTimeout(() => {
+          button.textContent = originalText;
+        }, 1500);
         return;
       }
       
-      // Update local value
-      this.co2Intensity = co2Intensity;
-      
-      // Save to storage
-      await chrome.storage.local.set({ co2Intensity });
+      const data = response.data;
+      const content = format === 'csv'
+        ? sessionExportToCSV(data)
+        : JSON.stringify(data, null, 2);
+      const type = format === 'csv' ? 'text/csv' : 'application/json';
       
-      // Send to service worker
-      const response = await this.safeSendMessage({ 
-        action: 'setCO2Intensity', 
-        intensity: co2Intensity 
-      });
-      
-      if (response && response.success) {
-        // Show success feedback
-        const saveBtn = document.getElementById('saveSettings');
-        const originalText = saveBtn.textContent;
-        saveBtn.textContent = 'Saved!';
-        saveBtn.style.background = 'rgba(76, 175, 80, 0.3)';
-        
-        setTimeout(() => {
-          saveBtn.textContent = originalText;
-          saveBtn.style.background = '';
-        }, 1500);
-        
-        console.log('Updated CO2 intensity to:', this.co2Intensity, 'g/kWh');
-        
-        // If we're currently profiling, recalculate CO2 with new intensity
-        if (this.isProfiling && this.cumulativeEnergy > 0) {
-          // Recalculate CO2 with new intensity
-          const energyKWh = this.cumulativeEnergy / 1000;
-          this.cumulativeCO2 = energyKWh * this.co2Intensity;
-          console.log('Recalculated CO2 with new intensity:', this.cumulativeCO2 + 'g');
-        }
-      } else if (response === null) {
-        this.showConnectionError();
-      } else {
-        console.log('Failed to save settings:', response);
-      }
+      this.downloadFile(content, type, sessionExportFileName(data, format));
     } catch (error) {
-      console.error('Error saving settings:', error);
-      if (error.message.includes('Extension context invalidated')) {
-        this.extensionConnected = false;
-        this.showConnectionError();
-      }
+      console.error('Error exporting session:', error);
     }
   }
+
+  downloadFile(content, type, fileName) {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    
+    // Give the download a moment to start before releasing the blob
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
 }
 
 // Initialize the popup controller
@@ -0,0 +1,330 @@
+// Per-page report: recommendation rules and a first/third-party breakdown of a tab's requests
+
+const MAX_FINDING_ITEMS = 10; // Resources listed under each finding
+
+class ReportController {
+  constructor() {
+    this.powerModel = resolvePowerModel();
+    this.co2Intensity = DEFAULT_CO2_INTENSITY;
+    this.transferModel = createTransferModel();
+    this.thirdPartyData = null;
+    this.init();
+  }
+
+  async init() {
+    const settings = await loadStoredSettings(['powerModel', 'co2Intensity']);
+    this.powerModel = resolvePowerModel(settings.powerModel);
+    this.co2Intensity = settings.co2Intensity;
+
+    try {
+      this.thirdPartyData = await loadThirdPartyData();
+    } catch (error) {
+      console.error('Failed to load third-party lists:', error);
+    }
+
+    const tabSelect = document.getElementById('tab');
+    tabSelect.addEventListener('change', () => this.analyze());
+    document.getElementById('refresh').addEventListener('click', () => this.analyze());
+
+    const requested = Number(new URLSearchParams(location.search).get('tabId'));
+    await this.loadTabs(requested);
+    await this.analyze();
+  }
+
+  sendMessage(message) {
+    return new Promise((resolve) => {
+      chrome.runtime.sendMessage(message, (response) => {
+        if (chrome.runtime.lastError) {
+          console.log('Message send error for action', message.action, ':', chrome.runtime.lastError.message);
+          resolve(null);
+        } else {
+          resolve(response);
+        }
+      });
+    });
+  }
+
+  sendTabMessage(tabId, message) {
+    return new Promise((resolve) => {
+      chrome.tabs.sendMessage(tabId, message, (response) => {
+        if (chrome.runtime.lastError) {
+          console.log('Tab message error for action', message.action, ':', chrome.runtime.lastError.message);
+          resolve(null);
+        } else {
+          resolve(response);
+        }
+      });
+    });
+  }
+
+  setStatus(text, isError = false) {
+    const status = document.getElementById('status');
+    status.textContent = text;
+    status.classList.toggle('error', isError);
+  }
+
+  // Web pages the content script runs in, with the one the popup was opened from selected
+  async loadTabs(selectedId) {
+    const tabs = (await chrome.tabs.query({})).filter(tab => /^https?:/.test(tab.url || ''));
+    const tabSelect = document.getElementById('tab');
+    tabSelect.innerHTML = '';
+
+    for (const tab of tabs) {
+      const option = document.createElement('option');
+      option.value = tab.id;
+      option.textContent = tab.title ? `${tab.title} — ${new URL(tab.url).hostname}` : tab.url;
+      option.selected = tab.id === selectedId;
+      tabSelect.appendChild(option);
+    }
+  }
+
+  // Green-hosting status of every host the page loaded from, checked by the service worker
+  async greenHosting(profile) {
+    const hosts = new Set([profile.domain]);
+    profile.resources.forEach(resource => hosts.add(hostnameOf(resource.name)));
+    Object.keys(profile.origins || {}).forEach(origin => hosts.add(hostnameOf(origin)));
+    hosts.delete('');
+
+    const response = await this.sendMessage({ action: 'checkGreenHosting', domains: [...hosts] });
+    return response && response.success
+      ? { green: response.green, available: response.status.available }
+      : { green: {}, available: false };
+  }
+
+  // The grid intensity the background is using now, which may be live or scheduled
+  async currentIntensity() {
+    const response = await this.sendMessage({ action: 'getCurrentMetrics' });
+    return response && response.success ? response.metrics.co2Intensity : this.co2Intensity;
+  }
+
+  async analyze() {
+    const tabId = Number(document.getElementById('tab').value);
+    if (!tabId) {
+      this.setStatus('No web pages open', true);
+      this.renderFindings([]);
+      this.renderParties(null);
+      return;
+    }
+
+    this.setStatus('Analysing…');
+    const response = await this.sendTabMessage(tabId, { action: 'getPageProfile' });
+    if (!response || !response.success) {
+      this.setStatus('The page is not being measured; reload it and try again', true);
+      this.renderFindings([]);
+      this.renderParties(null);
+      return;
+    }
+
+    const profile = response.profile;
+    const intensity = await this.currentIntensity();
+    const hosting = await this.greenHosting(profile);
+    const context = {
+      coefficients: this.powerModel.coefficients,
+      intensity,
+      // Green-hosted bytes use the green hosting factor, as in the service worker and the HAR CLI
+      transferCO2e: (bytes, url) =>
+        estimateTransferCO2e(this.transferModel, bytes, !!url && hosting.green[hostnameOf(url)] === true)
+    };
+    const findings = analyzePageProfile(profile, context);
+
+    this.renderCards(profile, findings);
+    this.renderFindings(findings);
+    this.renderParties(this.thirdPartyData
+      ? summarizeThirdParties(profile.domain, profile.origins, this.thirdPartyData, context.transferCO2e)
+      : null);
+    document.getElementById('modelHint').textContent =
+      `${this.powerModel.label} power model, ${Math.round(intensity)} gCO₂e/kWh grid intensity; ` +
+      `transfer savings use the ${TRANSFER_MODEL_LABEL} model` +
+      (hosting.available ? ' with the imported green domains list.' : '; green hosting not checked (no list imported).');
+    this.setStatus(`${findings.length} finding${findings.length === 1 ? '' : 's'} for ${profile.domain}`);
+  }
+
+  renderCards(profile, findings) {
+    const container = document.getElementById('cards');
+    container.innerHTML = '';
+
+    const perLoad = findings.filter(finding => finding.saving.per === 'page load');
+    const perHour = findings.filter(finding => finding.saving.per === 'hour');
+    const total = list => list.reduce((sum, finding) => sum + finding.saving.co2e, 0);
+    const transferBytes = profile.resources.reduce((sum, resource) => sum + resource.transferSize, 0);
+
+    const cards = [
+      ['Page', `${profile.resources.length} requests, ${formatBytes(transferBytes)}`],
+      ['Saving per page load', formatCO2(total(perLoad))],
+      ['Saving per hour open', formatCO2(total(perHour))]
+    ];
+
+    for (const [labelText, valueText] of cards) {
+      const card = document.createElement('div');
+      card.className = 'card';
+
+      const label = document.createElement('div');
+      label.className = 'card-label';
+      label.textContent = labelText;
+
+      const value = document.createElement('div');
+      value.className = 'card-value';
+      value.textContent = valueText;
+
+      card.appendChild(label);
+      card.appendChild(value);
+      container.appendChild(card);
+    }
+  }
+
+  renderFindings(findings) {
+    const container = document.getElementById('findings');
+    container.innerHTML = '';
+
+    if (findings.length === 0) {
+      const empty = document.createElement('div');
+      empty.className = 'empty';
+      empty.textContent = 'Nothing to recommend for this page';
+      container.appendChild(empty);
+      return;
+    }
+
+    let unit = null;
+    for (const finding of findings) {
+      if (finding.saving.per !== unit) {
+        unit = finding.saving.per;
+        const group = document.createElement('div');
+        group.className = 'finding-group';
+        group.textContent = SAVING_UNITS[unit] || `Per ${unit}`;
+        container.appendChild(group);
+      }
+
+      const element = document.createElement('div');
+      element.className = 'finding';
+
+      const header = document.createElement('div');
+      header.className = 'finding-header';
+
+      const title = document.createElement('div');
+      title.className = 'finding-title';
+      title.textContent = finding.title;
+
+      const saving = document.createElement('div');
+      saving.className = 'finding-saving';
+      saving.textContent = `Saves ~${formatEnergy(finding.saving.energy)}, ` +
+        `${formatCO2(finding.saving.co2e)} per ${finding.saving.per}`;
+
+      header.appendChild(title);
+      header.appendChild(saving);
+      element.appendChild(header);
+
+      const detail = document.createElement('div');
+      detail.className = 'finding-detail';
+      detail.textContent = finding.detail;
+      element.appendChild(detail);
+
+      if (finding.items.length > 0) {
+        const list = document.createElement('ul');
+        list.className = 'finding-items';
+
+        finding.items.slice(0, MAX_FINDING_ITEMS).forEach(text => {
+          const item = document.createElement('li');
+          item.textContent = text;
+          list.appendChild(item);
+        });
+
+        if (finding.items.length > MAX_FINDING_ITEMS) {
+          const more = document.createElement('li');
+          more.textContent = `and ${finding.items.length - MAX_FINDING_ITEMS} more`;
+          list.appendChild(more);
+        }
+
+        element.appendChild(list);
+      }
+
+      container.appendChild(element);
+    }
+  }
+
+  renderParties(summary) {
+    const partyRows = document.getElementById('partyRows');
+    const originRows = document.getElementById('originRows');
+    partyRows.innerHTML = '';
+    originRows.innerHTML = '';
+
+    if (!summary) {
+      partyRows.innerHTML = '<tr class="empty"><td colspan="4">No page analysed yet</td></tr>';
+      originRows.innerHTML = '<tr class="empty"><td colspan="5">No third-party requests</td></tr>';
+      document.getElementById('partyHint').textContent = '';
+      return;
+    }
+
+    document.getElementById('partyHint').textContent =
+      `(first party is ${summary.site}; ${this.thirdPartyData.version})`;
+
+    const costCells = totals => [
+      totals.requests,
+      formatBytes(totals.transferBytes),
+      formatCO2(totals.transferCO2e)
+    ];
+
+    this.appendRow(partyRows, [summary.firstParty.label, ...costCells(summary.firstParty)], 'subtotal');
+    this.appendRow(partyRows, [summary.thirdParty.label, ...costCells(summary.thirdParty)], 'subtotal');
+    summary.categories.forEach(group => {
+      this.appendRow(partyRows, [group.label, ...costCells(group)], 'category');
+    });
+
+    if (summary.origins.length === 0) {
+      originRows.innerHTML = '<tr class="empty"><td colspan="5">No third-party requests</td></tr>';
+      return;
+    }
+
+    summary.origins.forEach(entry => {
+      this.appendRow(originRows, [entry.origin, THIRD_PARTY_CATEGORIES[entry.category], ...costCells(entry)]);
+    });
+  }
+
+  appendRow(tbody, cells, className = '') {
+    const row = document.createElement('tr');
+    row.className = className;
+
+    cells.forEach(text => {
+      const cell = document.createElement('td');
+      cell.textContent = text;
+      row.appendChild(cell);
+    });
+
+    tbody.appendChild(row);
+  }
+}
+
+function hostnameOf(url) {
+  try {
+    return new URL(url).hostname;
+  } catch (error) {
+    return '';
+  }
+}
+
+function formatEnergy(energy) {
+  if (energy >= 1000) return `${(energy / 1000).toFixed(3)} kWh`;
+  if (energy >= 1) return `${energy.toFixed(3)} Wh`;
+  if (energy >= 0.001) return `${(energy * 1000).toFixed(2)} mWh`;
+  return `${(energy * 1000000).toFixed(0)} µWh`;
+}
+
+function formatCO2(co2e) {
+  if (co2e >= 1000) return `${(co2e / 1000).toFixed(2)} kgCO₂e`;
+  if (co2e >= 1) return `${co2e.toFixed(2)} gCO₂e`;
+  if (co2e >= 0.001) return `${(co2e * 1000).toFixed(2)} mgCO₂e`;
+  return `${(co2e * 1000000).toFixed(0)} µgCO₂e`;
+}
+
+function formatBytes(bytes) {
+  if (bytes >= 1e6) return `${(bytes / 1e6).toFixed(2)} MB`;
+  if (bytes >= 1e3) return `${(bytes / 1e3).toFixed(1)} kB`;
+  return `${Math.round(bytes)} B`;
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  try {
+    new ReportController();
+  } catch (error) {
+    console.error('Failed to initialize report page:', error);
+  }
+});
@@ -0,0 +1,24 @@
+// Run with: node --test test/
+
+const test = require('node:test');
+const assert = require('node:assert');
+const vm = require('vm');
+const { loadLib } = require('./helpers/load-lib');
+
+test('estimateTransferCO2e scales with a given grid intensity', () => {
+  const context = loadLib('lib/co2.js', 'lib/carbon-intensity.js');
+  const { createTransferModel, estimateTransferCO2e } = vm.runInContext(
+    '({ createTransferModel, estimateTransferCO2e })', context);
+  const model = createTransferModel();
+  const bytes = 1000000;
+
+  const globalAverage = estimateTransferCO2e(model, bytes);
+  assert.ok(Math.abs(estimateTransferCO2e(model, bytes, false, 494) - globalAverage) < 1e-9);
+
+  // Embodied emissions do not depend on the grid, so only the operational share doubles
+  const embodied = estimateTransferCO2e(model, bytes, false, 0);
+  const low = estimateTransferCO2e(model, bytes, false, 100);
+  const high = estimateTransferCO2e(model, bytes, false, 200);
+  assert.ok(Math.abs((high - embodied) - 2 * (low - embodied)) < 1e-9);
+  assert.ok(estimateTransferCO2e(model, bytes, true, 200) < high);
+});
@@ -0,0 +1,37 @@
+// Run with: node --test test/
+
+const test = require('node:test');
+const assert = require('node:assert');
+const vm = require('vm');
+const { loadLib } = require('./helpers/load-lib');
+
+function loadGreenHosting() {
+  const context = loadLib('lib/co2-hosting-json.js', 'lib/green-hosting.js');
+  return vm.runInContext('({ lookUpGreenDomain, parseGreenDomains })', context);
+}
+
+test('lookUpGreenDomain matches exact hostnames through CO2.js hosting-json', () => {
+  const { lookUpGreenDomain, parseGreenDomains } = loadGreenHosting();
+
+  const domains = parseGreenDomains('Example.com\nstatic.example.org\n');
+  assert.strictEqual(lookUpGreenDomain(domains, 'example.com'), true);
+  assert.strictEqual(lookUpGreenDomain(domains, 'EXAMPLE.COM'), true);
+  assert.strictEqual(lookUpGreenDomain(domains, 'www.example.com'), false);
+  assert.strictEqual(lookUpGreenDomain(domains, 'example.org'), false);
+});
+
+test('lookUpGreenDomain cannot tell without a dataset', () => {
+  const { lookUpGreenDomain } = loadGreenHosting();
+
+  assert.strictEqual(lookUpGreenDomain([], 'example.com'), null);
+});
+
+test('parseGreenDomains keeps the green entries of greencheckmulti results', () => {
+  const { parseGreenDomains } = loadGreenHosting();
+
+  const domains = parseGreenDomains(JSON.stringify({
+    'example.com': { url: 'example.com', green: true },
+    'example.net': { url: 'example.net', green: false }
+  }));
+  assert.deepStrictEqual(Array.from(domains), ['example.com']);
+});
@@ -0,0 +1,61 @@
+// Run with: node --test test/
+
+const test = require('node:test');
+const assert = require('node:assert');
+const vm = require('vm');
+const { loadLib } = require('./helpers/load-lib');
+
+function readings(count, mbPerMinute, start = 100) {
+  return Array.from({ length: count }, (_, index) => ({
+    timestamp: 1700000000000 + index * 30000,
+    heapMB: start + mbPerMinute * index / 2
+  }));
+}
+
+test('fitHeapTrend reports the slope in MB per minute', () => {
+  const context = loadLib('lib/budgets.js', 'lib/history.js', 'lib/heap-leaks.js');
+  const fitHeapTrend = vm.runInContext('fitHeapTrend', context);
+
+  const trend = fitHeapTrend(readings(20, 0.5));
+  assert.ok(Math.abs(trend.slope - 0.5) < 1e-9);
+  assert.ok(Math.abs(trend.intercept - 100) < 1e-9);
+  assert.ok(Math.abs(trend.rSquared - 1) < 1e-9);
+});
+
+test('fitHeapTrend fits against time when readings are unevenly spaced', () => {
+  const context = loadLib('lib/budgets.js', 'lib/history.js', 'lib/heap-leaks.js');
+  const fitHeapTrend = vm.runInContext('fitHeapTrend', context);
+
+  // Gaps of 30 s with a few long ones, as after service-worker suspensions
+  const gaps = [30, 30, 30, 300, 30, 30, 600, 30, 30, 30, 120, 30, 30];
+  let seconds = 0;
+  const samples = [0, ...gaps].map(gap => {
+    seconds += gap;
+    return { timestamp: 1700000000000 + seconds * 1000, heapMB: 100 + 0.5 * seconds / 60 };
+  });
+
+  const trend = fitHeapTrend(samples);
+  assert.ok(Math.abs(trend.slope - 0.5) < 1e-9);
+  assert.ok(Math.abs(trend.rSquared - 1) < 1e-9);
+});
+
+test('detectHeapLeak and the growing-heap rule share one growth threshold', () => {
+  const context = loadLib(
+    'lib/power-model.js', 'lib/budgets.js', 'lib/history.js', 'lib/heap-leaks.js', 'lib/recommendations.js');
+  const { detectHeapLeak, RECOMMENDATION_RULES, HEAP_LEAK_THRESHOLDS } = vm.runInContext(
+    '({ detectHeapLeak, RECOMMENDATION_RULES, HEAP_LEAK_THRESHOLDS })', context);
+  const rule = RECOMMENDATION_RULES.find(entry => entry.id === 'growing-heap');
+  const coefficients = { memory: 0.001 };
+  const ruleContext = { coefficients, intensity: 400 };
+  const profileOf = samples => ({
+    memory: samples.map(sample => ({ timestamp: sample.timestamp, usedJSHeapSize: sample.heapMB * 1024 * 1024 }))
+  });
+
+  const above = readings(30, HEAP_LEAK_THRESHOLDS.minGrowth * 1.2);
+  assert.ok(detectHeapLeak(above, coefficients));
+  assert.ok(rule.check(profileOf(above), ruleContext));
+
+  const below = readings(30, HEAP_LEAK_THRESHOLDS.minGrowth * 0.8);
+  assert.strictEqual(detectHeapLeak(below, coefficients), null);
+  assert.strictEqual(rule.check(profileOf(below), ruleContext), null);
+});
@@ -0,0 +1,17 @@
+// lib/ scripts are classic browser scripts, so tests load them into a vm context as the HAR CLI
+// does. Top-level consts stay in the context's lexical scope; read them with vm.runInContext.
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+function loadLib(...scripts) {
+  const context = vm.createContext({ console });
+  for (const script of scripts) {
+    const file = path.join(__dirname, '..', '..', script);
+    vm.runInContext(fs.readFileSync(file, 'utf8'), context, { filename: file });
+  }
+  return context;
+}
+
+module.exports = { loadLib };
@@ -0,0 +1,29 @@
+// Run with: node --test test/
+
+const test = require('node:test');
+const assert = require('node:assert');
+const vm = require('vm');
+const { loadLib } = require('./helpers/load-lib');
+
+function row(start, domain, energy, co2e) {
+  return { tier: 'day', start, domain, energy, co2e, transferBytes: 1000, transferCO2e: 0.1, seconds: 60, samples: 60 };
+}
+
+test('dailyTotalsFromRollups keys day rollups by local date with their domains', () => {
+  const context = loadLib('lib/budgets.js', 'lib/history.js');
+  const dailyTotalsFromRollups = vm.runInContext('dailyTotalsFromRollups', context);
+  const first = new Date(2024, 0, 15).getTime();
+  const second = new Date(2024, 0, 16).getTime();
+
+  const days = dailyTotalsFromRollups(
+    [row(first, '*', 3, 2), row(second, '*', 1, 0.5)],
+    [row(first, 'a.test', 2, 1.5), row(first, 'b.test', 1, 0.5), row(second, 'a.test', 1, 0.5)]);
+
+  assert.deepStrictEqual(Object.keys(days), ['2024-01-15', '2024-01-16']);
+  assert.strictEqual(days['2024-01-15'].energy, 3);
+  assert.strictEqual(days['2024-01-15'].transferBytes, 1000);
+  assert.strictEqual(days['2024-01-15'].seconds, 60);
+  assert.deepStrictEqual(Object.keys(days['2024-01-15'].domains), ['a.test', 'b.test']);
+  assert.strictEqual(days['2024-01-15'].domains['a.test'].co2e, 1.5);
+  assert.strictEqual(days['2024-01-16'].domains['a.test'].energy, 1);
+});
@@ -0,0 +1,28 @@
+// Run with: node --test test/
+
+const test = require('node:test');
+const assert = require('node:assert');
+const vm = require('vm');
+const { loadLib } = require('./helpers/load-lib');
+
+test('recentNetworkEntries compares start times on the performance clock', () => {
+  const context = loadLib('lib/power-model.js');
+  const { recentNetworkEntries, NETWORK_WINDOW_MS } = vm.runInContext(
+    '({ recentNetworkEntries, NETWORK_WINDOW_MS })', context);
+
+  // A page open for two minutes: entries start 0–120 s after timeOrigin
+  const now = 120000;
+  const entries = [{ startTime: 500 }, { startTime: 59000 }, { startTime: 61000 }, { startTime: 119000 }];
+  const recent = recentNetworkEntries(entries, now);
+
+  assert.deepStrictEqual(recent.map(entry => entry.startTime), [61000, 119000]);
+  assert.ok(recent.every(entry => entry.startTime > now - NETWORK_WINDOW_MS));
+});
+
+test('recentNetworkEntries finds nothing when given the wall clock', () => {
+  const context = loadLib('lib/power-model.js');
+  const recentNetworkEntries = vm.runInContext('recentNetworkEntries', context);
+
+  // The old bug: Date.now() is ~1.7e12, far past every performance-clock start time
+  assert.strictEqual(recentNetworkEntries([{ startTime: 119000 }], Date.now()).length, 0);
+});
@@ -0,0 +1,74 @@
+// Run with: node --test test/
+
+const test = require('node:test');
+const assert = require('node:assert');
+const vm = require('vm');
+const { loadLib } = require('./helpers/load-lib');
+
+function csvRow(timestamp, extra = []) {
+  return [new Date(timestamp).toISOString(), ...extra, 10, 10 * 5 / 3600, 0.001, 20, 100, 3, 2].join(',');
+}
+
+test('CSV imports keep the exported sample duration', () => {
+  const context = loadLib('lib/session-export.js');
+  const parseSessionFile = vm.runInContext('parseSessionFile', context);
+  const start = Date.UTC(2026, 0, 1);
+
+  const text = 'timestamp,duration,power,energy,co2e,cpuTotal,memoryTotal,networkTotal,tabCount\n' +
+    [0, 5000, 10000].map(offset => csvRow(start + offset, [5])).join('\n');
+  const data = parseSessionFile(text, 'run.csv');
+
+  assert.deepStrictEqual(Array.from(data.samples, sample => sample.duration), [5, 5, 5]);
+});
+
+test('CSV imports without a duration column use the median gap between samples', () => {
+  const context = loadLib('lib/session-export.js');
+  const parseSessionFile = vm.runInContext('parseSessionFile', context);
+  const start = Date.UTC(2026, 0, 1);
+
+  // A 10-minute pause must not stretch the samples around it
+  const text = 'timestamp,power,energy,co2e,cpuTotal,memoryTotal,networkTotal,tabCount\n' +
+    [0, 5000, 10000, 610000, 615000].map(offset => csvRow(start + offset)).join('\n');
+  const data = parseSessionFile(text, 'old.csv');
+
+  assert.deepStrictEqual(Array.from(data.samples, sample => sample.duration), [5, 5, 5, 5, 5]);
+});
+
+test('CSV imports reject rows with empty or non-numeric required cells', () => {
+  const context = loadLib('lib/session-export.js');
+  const parseSessionFile = vm.runInContext('parseSessionFile', context);
+  const header = 'timestamp,duration,power,energy,co2e,cpuTotal,memoryTotal,networkTotal,tabCount\n';
+  const good = csvRow(Date.UTC(2026, 0, 1), [5]);
+
+  assert.throws(
+    () => parseSessionFile(header + good + '\n2026-01-01T00:00:05.000Z,5,,0.01,0.001,20,100,3,2', 'run.csv'),
+    /run\.csv line 3 has a non-numeric power/);
+  assert.throws(
+    () => parseSessionFile(header + good + '\n2026-01-01T00:00:05.000Z,5,10,abc,0.001,20,100,3,2', 'run.csv'),
+    /run\.csv line 3 has a non-numeric energy/);
+  assert.throws(
+    () => parseSessionFile(header + 'yesterday,5,10,0.01,0.001,20,100,3,2', 'run.csv'),
+    /run\.csv line 2 has an invalid timestamp/);
+});
+
+test('CSV imports reject rows whose column count differs from the header', () => {
+  const context = loadLib('lib/session-export.js');
+  const parseSessionFile = vm.runInContext('parseSessionFile', context);
+  const header = 'timestamp,duration,power,energy,co2e,cpuTotal,memoryTotal,networkTotal,tabCount\n';
+
+  assert.throws(
+    () => parseSessionFile(header + '2026-01-01T00:00:00.000Z,5,10,0.01,0.001,20,100,3', 'short.csv'),
+    /short\.csv line 2 has 8 CSV columns, expected 9/);
+});
+
+test('CSV imports leave empty optional cells undefined', () => {
+  const context = loadLib('lib/session-export.js');
+  const parseSessionFile = vm.runInContext('parseSessionFile', context);
+  const text = 'timestamp,duration,power,energy,co2e,cpuTotal,memoryTotal,networkTotal,tabCount\n' +
+    '2026-01-01T00:00:00.000Z,5,10,0.01,0.001,,100,3,2';
+
+  const [sample] = parseSessionFile(text, 'run.csv').samples;
+  assert.strictEqual(sample.power, 10);
+  assert.strictEqual(sample.metrics.cpuTotal, undefined);
+  assert.strictEqual(sample.metrics.memoryTotal, 100);
+});